@@ -0,0 +1,242 @@
+import { measureTokenDistance } from './canvas.js';
+
+/**
+ * Ids of the tokens whose auras applied to each actor during its last data preparation, so that the actors can be
+ * recomputed when these tokens move out of range
+ * @type {WeakMap<CustomActor, Set<string>>}
+ * @ignore
+ */
+const appliedAuraSources = new WeakMap();
+
+/**
+ * Values of the aura modifiers of each actor, by aura and modifier index, computed once the actor props are final
+ * @type {WeakMap<CustomActor, Array<Array<ComputablePhrase>>>}
+ * @ignore
+ */
+const auraValues = new WeakMap();
+
+/**
+ * Ids of the tokens whose aura values changed, waiting for their affected tokens to be recomputed
+ * @type {Set<string>}
+ * @ignore
+ */
+const pendingSources = new Set();
+
+/**
+ * Gets the modifiers applied to an actor by the auras of the other tokens of the current scene.
+ * An aura applies to the tokens within its radius, measured edge to edge, matching its disposition and keyword filters.
+ * @param {CustomActor} actor The affected actor
+ * @return {Array<Object>} The aura modifiers, with their value computed with the final props of the aura owner and
+ * their source set to the aura and owner names. Their conditions are left to the affected actor to check.
+ * Auras of owners which are not prepared yet are applied once their owner is prepared.
+ */
+export const getAuraModifiers = (actor) => {
+    appliedAuraSources.delete(actor);
+
+    if (!canvas?.ready) {
+        return [];
+    }
+
+    let token = actor.token?.object ?? actor.getActiveTokens().find((token) => token.scene === canvas.scene);
+
+    if (!token) {
+        return [];
+    }
+
+    let modifiers = [];
+    let sourceIds = new Set();
+
+    for (let sourceToken of getSceneTokens()) {
+        let sourceActor = sourceToken.actor;
+
+        if (sourceToken === token || sourceActor.type !== 'character' || !sourceActor.system.auras?.length) {
+            continue;
+        }
+
+        for (let [auraIndex, aura] of sourceActor.system.auras.entries()) {
+            let values = auraValues.get(sourceActor)?.[auraIndex];
+
+            if (
+                !values ||
+                !isAffectedDisposition(aura.disposition, sourceToken, token) ||
+                !hasKeyword(actor, aura.keyword) ||
+                measureTokenDistance(sourceToken, token) > Number(aura.radius)
+            ) {
+                continue;
+            }
+
+            sourceIds.add(sourceToken.id);
+            for (let [modifierIndex, modifier] of (aura.modifiers ?? []).entries()) {
+                modifiers.push({
+                    ...modifier,
+                    source: aura.name + ' (' + sourceActor.name + ')',
+                    value: values[modifierIndex]
+                });
+            }
+        }
+    }
+
+    appliedAuraSources.set(actor, sourceIds);
+
+    return modifiers;
+};
+
+/**
+ * Computes the values of the aura modifiers of an actor with its final props, once its data is prepared.
+ * If the values changed, the actors affected by its auras are recomputed after the current data preparation.
+ * @param {CustomActor} actor The aura owner
+ */
+export const updateAuraValues = (actor) => {
+    let values = (actor.system.auras ?? []).map((aura) =>
+        (aura.modifiers ?? []).map((modifier) =>
+            ComputablePhrase.computeMessageStatic(modifier.formula, actor.system.props, { defaultValue: 0 })
+        )
+    );
+
+    const getResults = (auraList) =>
+        JSON.stringify(auraList?.map((modifiers) => modifiers.map(({ result }) => result)));
+    let changed = getResults(auraValues.get(actor)) !== getResults(values);
+
+    auraValues.set(actor, values);
+
+    if (!changed || !canvas?.ready) {
+        return;
+    }
+
+    let scheduled = pendingSources.size > 0;
+    for (let token of actor.getActiveTokens().filter((token) => token.scene === canvas.scene)) {
+        pendingSources.add(token.id);
+    }
+
+    if (scheduled) {
+        return;
+    }
+
+    // Affected actors are recomputed once, after the preparation of every changed aura owner
+    setTimeout(() => {
+        let sourceIds = [...pendingSources];
+        pendingSources.clear();
+
+        for (let sourceId of sourceIds) {
+            refreshAuras(sourceId, { affectedOnly: true });
+        }
+    }, 0);
+};
+
+/**
+ * Recomputes the actors of the tokens of the current scene affected by auras.
+ * With a source token, only the token itself, the tokens in range of its auras and the tokens its auras applied to
+ * are recomputed, like when the token moves or its auras change. The source token can have been deleted.
+ * Without source token, every actor is recomputed if any token of the scene holds an aura.
+ * @param {string|null} [sourceTokenId=null] The id of the token whose auras or position changed
+ * @param {Object} [options={}]
+ * @param {boolean} [options.affectedOnly=false] Do not recompute the source token, like when only its aura values changed
+ */
+export const refreshAuras = (sourceTokenId = null, options = {}) => {
+    let { affectedOnly = false } = options;
+
+    if (!canvas?.ready) {
+        return;
+    }
+
+    let tokens = getSceneTokens();
+
+    if (sourceTokenId) {
+        let sourceToken = tokens.find((token) => token.id === sourceTokenId);
+
+        tokens = tokens.filter(
+            (token) =>
+                (token === sourceToken && !affectedOnly) ||
+                appliedAuraSources.get(token.actor)?.has(sourceTokenId) ||
+                (sourceToken && isInAuraRange(sourceToken, token))
+        );
+    } else if (!tokens.some((token) => token.actor.system.auras?.length > 0)) {
+        return;
+    }
+
+    for (let actor of new Set(tokens.map((token) => token.actor))) {
+        if (actor.type === 'character') {
+            actor.reset();
+            actor.render(false);
+        }
+    }
+};
+
+/**
+ * Checks if the auras of two lists differ, comparing radiuses as numbers
+ * @param {Array<Object>} [previousAuras=[]]
+ * @param {Array<Object>} [auras=[]]
+ * @return {boolean}
+ */
+export const haveAurasChanged = (previousAuras = [], auras = []) => {
+    const normalize = (auraList) =>
+        JSON.stringify((auraList ?? []).map((aura) => ({ ...aura, radius: Number(aura.radius) })));
+
+    return normalize(previousAuras) !== normalize(auras);
+};
+
+/**
+ * Checks if a token is in range of any aura of a source token, whatever the aura filters
+ * @param {Token} sourceToken The token holding the auras
+ * @param {Token} token The checked token
+ * @return {boolean}
+ * @ignore
+ */
+const isInAuraRange = (sourceToken, token) => {
+    let auras = sourceToken.actor.system.auras ?? [];
+
+    return (
+        auras.length > 0 &&
+        measureTokenDistance(sourceToken, token) <= Math.max(...auras.map((aura) => Number(aura.radius) || 0))
+    );
+};
+
+/**
+ * Gets the tokens of the current scene having an actor
+ * @return {Array<Token>}
+ * @ignore
+ */
+const getSceneTokens = () => {
+    return canvas.tokens.placeables.filter((token) => !token.destroyed && token.actor);
+};
+
+/**
+ * Checks if the disposition of a token matches the disposition filter of an aura
+ * @param {string} disposition The aura disposition filter : friendly, hostile or all
+ * @param {Token} sourceToken The token holding the aura
+ * @param {Token} token The checked token
+ * @return {boolean}
+ * @ignore
+ */
+const isAffectedDisposition = (disposition, sourceToken, token) => {
+    switch (disposition) {
+        case 'all':
+            return true;
+        case 'hostile':
+            return sourceToken.document.disposition * token.document.disposition === -1;
+        case 'friendly':
+        default:
+            return sourceToken.document.disposition === token.document.disposition;
+    }
+};
+
+/**
+ * Checks if an actor has a keyword, in the comma separated list of the keywords property set in the system settings.
+ * Keywords are not case-sensitive.
+ * @param {CustomActor} actor
+ * @param {string} [keyword] The keyword. Empty keywords match every actor.
+ * @return {boolean}
+ * @ignore
+ */
+const hasKeyword = (actor, keyword) => {
+    if (!keyword) {
+        return true;
+    }
+
+    let keywordsProp = game.settings.get('custom-system-builder', 'auraKeywordsProp');
+    let keywords = keywordsProp ? foundry.utils.getProperty(actor.system.props, keywordsProp) : '';
+
+    return String(keywords ?? '')
+        .split(',')
+        .some((actorKeyword) => actorKeyword.trim().toLowerCase() === keyword.toLowerCase());
+};
@@ -1,3 +1,5 @@
+import { DistanceMeasurementError } from './errors/errors.js';
+
 /**
  * @ignore
  * @override
@@ -7,42 +9,175 @@ export const measureDistances = function (segments, options = {}) {
 
     // Track the total number of diagonals
     let nDiagonal = 0;
-    const rule = game.settings.get('custom-system-builder', 'diagonalMovement') ?? 'EQUI';
-    const diagonalValue = game.settings.get('custom-system-builder', 'diagonalMovementCustomVal') ?? 1;
-
     const d = canvas.dimensions;
-    const gridDistance = canvas.scene.grid.distance;
 
     // Iterate over measured segments
     return segments.map((s) => {
         let r = s.ray;
 
         // Determine the total distance traveled
-        let nx = Math.abs(Math.ceil(r.dx / d.size));
-        let ny = Math.abs(Math.ceil(r.dy / d.size));
-
-        // Determine the number of straight and diagonal moves
-        let nd = Math.min(nx, ny);
-        let ns = Math.abs(ny - nx);
-        nDiagonal += nd;
-
-        // Alternative DMG Movement
-        if (rule === 'ALT') {
-            let nd10 = Math.floor(nDiagonal / 2) - Math.floor((nDiagonal - nd) / 2);
-            let spaces = nd10 * 2 + (nd - nd10) + ns;
-            return spaces * gridDistance;
-        }
+        let nx = Math.ceil(Math.abs(r.dx) / d.size);
+        let ny = Math.ceil(Math.abs(r.dy) / d.size);
 
-        // Euclidean Measurement
-        else if (rule === 'EUCL') {
-            return Math.round(Math.hypot(nx, ny) * gridDistance);
-        }
+        nDiagonal += Math.min(nx, ny);
 
-        // Standard PHB Movement
-        else if (rule === 'EQUI') {
-            return (ns + nd) * gridDistance;
-        } else {
-            return ns * gridDistance + nDiagonal * gridDistance * diagonalValue;
-        }
+        return getGridDistance(nx, ny, nDiagonal);
     });
 };
+
+/**
+ * Finds the tokens of the current scene matching a reference : selected, target, targets, a token UUID or id,
+ * or an actor reference, using the actor's token in the scene
+ * @param {string} reference The token reference
+ * @return {Array<Token>} The matching tokens, never empty
+ * @throws {DistanceMeasurementError} If no token matches the reference
+ */
+export const resolveTokens = (reference) => {
+    if (!canvas.ready) {
+        throw new DistanceMeasurementError('Distances can only be measured on a displayed scene', reference);
+    }
+
+    let tokens;
+    // Token UUIDs start with their scene, other references with dots are actor names
+    let document = /^Scene\./.test(reference) ? fromUuidSync(reference) : null;
+
+    if (reference === 'selected') {
+        tokens = [canvas.tokens.controlled[0]];
+    } else if (reference === 'target') {
+        tokens = [game.user.targets.first()];
+    } else if (reference === 'targets') {
+        tokens = [...game.user.targets];
+    } else if (document?.documentName === 'Token') {
+        tokens = [document.object];
+    } else if (canvas.tokens.get(reference)) {
+        tokens = [canvas.tokens.get(reference)];
+    } else {
+        let actor;
+        try {
+            actor = CONFIG.Actor.documentClass.resolveReference(reference);
+        } catch (err) {
+            throw new DistanceMeasurementError(err.message, reference);
+        }
+
+        tokens = [getActorToken(actor)];
+    }
+
+    tokens = tokens.filter((token) => token);
+
+    if (tokens.length === 0) {
+        throw new DistanceMeasurementError(
+            ['target', 'targets'].includes(reference)
+                ? 'No token is targeted'
+                : 'No token found on the scene for reference ' + reference,
+            reference
+        );
+    }
+
+    return tokens;
+};
+
+/**
+ * Gets the token of an actor in the current scene
+ * @param {CustomActor} actor
+ * @return {Token}
+ * @throws {DistanceMeasurementError} If the actor has no token in the scene
+ */
+export const getActorToken = (actor) => {
+    let token = actor?.token?.object ?? actor?.getActiveTokens?.().find((token) => token.scene === canvas.scene);
+
+    if (!token) {
+        throw new DistanceMeasurementError(
+            actor ? actor.name + ' has no token on the scene' : 'Distances can only be measured from an actor token'
+        );
+    }
+
+    return token;
+};
+
+/**
+ * Measures the distance between two tokens, edge to edge, in scene units.
+ * Bases are read from the property set in the token base size setting, or use the token size.
+ * Gridded scenes use the diagonal movement rule of the system settings.
+ * @param {Token} token
+ * @param {Token} target
+ * @return {number}
+ */
+export const measureTokenDistance = (token, target) => {
+    const d = canvas.dimensions;
+    const gridDistance = canvas.scene.grid.distance;
+
+    let dx = target.center.x - token.center.x;
+    let dy = target.center.y - token.center.y;
+
+    // The center to center segment is shortened by both base radiuses
+    let centerDistance = Math.hypot(dx, dy);
+    let edgeDistance = Math.max(centerDistance - getBaseRadius(token) - getBaseRadius(target), 0);
+    let ratio = centerDistance > 0 ? edgeDistance / centerDistance : 0;
+
+    dx *= ratio;
+    dy *= ratio;
+
+    if (canvas.grid.type === CONST.GRID_TYPES.GRIDLESS) {
+        return (Math.hypot(dx, dy) / d.size) * gridDistance;
+    }
+
+    let nx = Math.ceil(Math.abs(dx) / d.size);
+    let ny = Math.ceil(Math.abs(dy) / d.size);
+
+    return getGridDistance(nx, ny, Math.min(nx, ny));
+};
+
+/**
+ * Computes a distance on the grid with the diagonal movement rule of the system settings
+ * @param {number} nx The number of horizontal spaces
+ * @param {number} ny The number of vertical spaces
+ * @param {number} nDiagonal The total number of diagonals of the measurement, including this one
+ * @return {number} The distance in scene units
+ * @ignore
+ */
+const getGridDistance = (nx, ny, nDiagonal) => {
+    const rule = game.settings.get('custom-system-builder', 'diagonalMovement') ?? 'EQUI';
+    const diagonalValue = game.settings.get('custom-system-builder', 'diagonalMovementCustomVal') ?? 1;
+    const gridDistance = canvas.scene.grid.distance;
+
+    // Determine the number of straight and diagonal moves
+    let nd = Math.min(nx, ny);
+    let ns = Math.abs(ny - nx);
+
+    // Alternative DMG Movement
+    if (rule === 'ALT') {
+        let nd10 = Math.floor(nDiagonal / 2) - Math.floor((nDiagonal - nd) / 2);
+        let spaces = nd10 * 2 + (nd - nd10) + ns;
+        return spaces * gridDistance;
+    }
+
+    // Euclidean Measurement
+    else if (rule === 'EUCL') {
+        return Math.round(Math.hypot(nx, ny) * gridDistance);
+    }
+
+    // Standard PHB Movement
+    else if (rule === 'EQUI') {
+        return (ns + nd) * gridDistance;
+    } else {
+        return ns * gridDistance + nDiagonal * gridDistance * diagonalValue;
+    }
+};
+
+/**
+ * Gets the base radius of a token in pixels, from the base size property of its actor or from the token size
+ * @param {Token} token
+ * @return {number}
+ */
+export const getBaseRadius = (token) => {
+    let baseSizeProp = game.settings.get('custom-system-builder', 'tokenBaseSizeProp');
+    let baseSize = baseSizeProp
+        ? Number(foundry.utils.getProperty(token.actor?.system.props ?? {}, baseSizeProp))
+        : NaN;
+
+    if (Number.isFinite(baseSize) && baseSize > 0) {
+        return (baseSize / 2 / canvas.scene.grid.distance) * canvas.dimensions.size;
+    }
+
+    return Math.min(token.w, token.h) / 2;
+};
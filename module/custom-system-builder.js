@@ -1,13 +1,18 @@
 import './formulas/ComputablePhrase.js';
 import './sheets/components/ComponentFactory.js';
 import processMigrations from './migrations/migrationHandler.js';
+import migration_legacy_formulas from './migrations/migration_legacy_formulas.js';
 import { measureDistances } from './canvas.js';
+import { getVisibilityRatio } from './visibility.js';
+import { haveAurasChanged, refreshAuras } from './auras.js';
+import { recordPropChanges } from './prop-history.js';
 import { exportTemplates, importTemplates } from './exports.js';
 
 // Import document classes.
 import { CustomActor } from './documents/actor.js';
 import { CustomItem } from './documents/item.js';
 import { CustomToken } from './documents/token.js';
+import { CustomActiveEffect } from './documents/active-effect.js';
 
 // Import sheet classes.
 import { CharacterSheet } from './sheets/character-sheet.js';
@@ -17,6 +22,7 @@ import { EquippableItemTemplateSheet } from './sheets/items/_equippable-item-tem
 import { SubTemplateItemSheet } from './sheets/items/sub-template-item-sheet.js';
 
 import Formula from './formulas/Formula.js';
+import FoundryAdapter from './formulas/adapters/FoundryAdapter.js';
 import { postAugmentedChatMessage, postCustomSheetRoll } from './utils.js';
 
 // Import components for factory init
@@ -41,6 +47,10 @@ Hooks.once('init', async function () {
     CONFIG.Actor.documentClass = CustomActor;
     CONFIG.Item.documentClass = CustomItem;
     CONFIG.Token.documentClass = CustomToken;
+    CONFIG.ActiveEffect.documentClass = CustomActiveEffect;
+
+    // Formulas are computed with Foundry dice, roll tables, dialogs and documents
+    Formula.useAdapter(new FoundryAdapter());
 
     // Register system settings - init formula
     game.settings.register('custom-system-builder', 'initFormula', {
@@ -121,6 +131,88 @@ Hooks.once('init', async function () {
         type: Number
     });
 
+    // Register system settings - token base size used to measure distances in formulas
+    game.settings.register('custom-system-builder', 'tokenBaseSizeProp', {
+        name: 'Token base size property',
+        hint:
+            'Key of the actor property holding the diameter of its base, in scene units. ' +
+            'Distances in formulas are measured edge to edge, using the token size when the property is empty.',
+        scope: 'world',
+        config: true,
+        default: '',
+        type: String
+    });
+
+    game.settings.register('custom-system-builder', 'auraKeywordsProp', {
+        name: 'Aura keywords property',
+        hint:
+            'Key of the actor property holding its keywords, separated by commas. ' +
+            'Auras with a keyword only apply to the actors having it.',
+        scope: 'world',
+        config: true,
+        default: 'keywords',
+        type: String
+    });
+
+    game.settings.register('custom-system-builder', 'propHistorySize', {
+        name: 'Prop history size',
+        hint:
+            'Number of prop changes kept in the history of each character, viewable from the sheet header. ' +
+            'Set to 0 to stop recording changes.',
+        scope: 'world',
+        config: true,
+        default: 100,
+        type: Number
+    });
+
+    // Register system settings - deterministic rolls
+    game.settings.register('custom-system-builder', 'rollSeedMode', {
+        name: 'Deterministic rolls',
+        hint:
+            'Rolls can use seeded dice, recorded in the chat message so that the roll can be verified. ' +
+            'Fixed seeds and scripted dice give the same results for every roll and should only be used for tests.',
+        scope: 'world',
+        config: true,
+        default: 'off',
+        type: String,
+        choices: {
+            off: 'Off (Foundry dice)',
+            random: 'New recorded seed for each roll',
+            fixed: 'Fixed seed, please enter it below',
+            scripted: 'Scripted dice results, please enter them below'
+        }
+    });
+
+    game.settings.register('custom-system-builder', 'rollSeed', {
+        name: 'Fixed roll seed',
+        hint: 'Seed used by every roll when deterministic rolls use a fixed seed.',
+        scope: 'world',
+        config: true,
+        default: '',
+        type: String
+    });
+
+    game.settings.register('custom-system-builder', 'scriptedDice', {
+        name: 'Scripted dice results',
+        hint:
+            'Dice results given in order to every roll when deterministic rolls use scripted dice, like 6, 6, 1. ' +
+            'When they are all used, dice are generated from a recorded seed.',
+        scope: 'world',
+        config: true,
+        default: '',
+        type: String
+    });
+
+    // Enabled when the GM confirms the legacy formula migration preview, disabled when the migration is reverted
+    game.settings.register('custom-system-builder', 'migrateLegacyFormulas', {
+        name: 'Migrate legacy formulas',
+        hint: 'Rewrites formulas using the legacy syntax on reload.',
+        scope: 'world',
+        config: false,
+        default: false,
+        type: Boolean
+    });
+
     game.settings.register('custom-system-builder', 'hideFormulaBreakingMessage', {
         name: 'Hide Formula breaking change message',
         hint: 'The message will no longer be displayed on reload.',
@@ -378,6 +470,19 @@ function createExportButtons(sidebar, jq) {
 
     importButton.addEventListener('click', importTemplates);
 
+    /* -------------------------------------------- */
+    /*  Legacy formula migration buttons            */
+    /* -------------------------------------------- */
+    let previewMigrationButton = document.createElement('button');
+    previewMigrationButton.innerHTML = '<i class="fas fa-search"></i>Preview legacy formula migration';
+
+    previewMigrationButton.addEventListener('click', previewLegacyFormulaMigration);
+
+    let revertMigrationButton = document.createElement('button');
+    revertMigrationButton.innerHTML = '<i class="fas fa-undo"></i>Revert legacy formula migration';
+
+    revertMigrationButton.addEventListener('click', revertLegacyFormulaMigration);
+
     // Add everything cleanly into menu
     let exportTitle = document.createElement('h2');
     exportTitle.innerText = 'Custom System Builder';
@@ -387,6 +492,8 @@ function createExportButtons(sidebar, jq) {
 
     exportDiv.appendChild(exportButton);
     exportDiv.appendChild(importButton);
+    exportDiv.appendChild(previewMigrationButton);
+    exportDiv.appendChild(revertMigrationButton);
 
     let jSidebar = $(sidebar._element[0]);
     let helpBox = jSidebar.find('#settings-documentation');
@@ -395,6 +502,109 @@ function createExportButtons(sidebar, jq) {
     helpBox.prev('h2').before(exportDiv);
 }
 
+/**
+ * Shows every rewrite the legacy formula migration would do, and allows to run it
+ * @ignore
+ */
+async function previewLegacyFormulaMigration() {
+    let content = await renderTemplate(
+        'systems/custom-system-builder/templates/_template/dialogs/legacy-formula-migration.html',
+        {
+            rewrites: migration_legacy_formulas.previewMigration(),
+            enabled: game.settings.get('custom-system-builder', 'migrateLegacyFormulas')
+        }
+    );
+
+    new Dialog(
+        {
+            title: 'Legacy formula migration',
+            content: content,
+            buttons: {
+                migrate: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: 'Migrate now',
+                    callback: async () => {
+                        await game.settings.set('custom-system-builder', 'migrateLegacyFormulas', true);
+                        await migration_legacy_formulas.processMigration();
+
+                        ui.notifications.info('Legacy formulas have been migrated.');
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: 'Close'
+                }
+            },
+            default: 'cancel'
+        },
+        {
+            width: 900
+        }
+    ).render(true);
+}
+
+/**
+ * Restores the formulas saved by the legacy formula migration, after confirmation
+ * @ignore
+ */
+async function revertLegacyFormulaMigration() {
+    let confirmed = await Dialog.confirm({
+        title: 'Revert legacy formula migration',
+        content:
+            '<p>Every migrated template and item will get back the formulas it had before the migration. ' +
+            'Changes made to these documents since the migration will be lost.</p>' +
+            '<p>The migration will not run again until it is confirmed from its preview.</p>'
+    });
+
+    if (confirmed) {
+        let restored = await migration_legacy_formulas.revertMigration();
+        ui.notifications.info(restored + ' documents have been restored.');
+    }
+}
+
+Hooks.on('getChatLogEntryContext', addVerifyRollToChatContext);
+
+/**
+ * @ignore
+ * @param html
+ * @param menuItems
+ */
+function addVerifyRollToChatContext(html, menuItems) {
+    menuItems.push({
+        callback: async (li) => {
+            let message = game.messages.get($(li).data('message-id'));
+            let replayData = message.getFlag('custom-system-builder', 'replay');
+
+            // Rolls are replayed with the props of the actor which posted them
+            let { verified, differences } = await ComputablePhrase.verify(
+                replayData,
+                ChatMessage.getSpeakerActor(message.speaker)
+            );
+
+            if (verified) {
+                ui.notifications.info(
+                    'Roll verified : replaying seed ' + replayData.diceSource.seed + ' gives the same results.'
+                );
+            } else {
+                ui.notifications.warn(
+                    'Roll could not be verified : replaying seed ' +
+                        replayData.diceSource.seed +
+                        ', ' +
+                        differences.join(', ') +
+                        '.'
+                );
+            }
+        },
+        condition: (li) => {
+            let message = game.messages.get($(li).data('message-id'));
+
+            return !!message?.getFlag('custom-system-builder', 'replay');
+        },
+        icon: '<i class="fas fa-check-double"></i>',
+        name: 'Verify roll'
+    });
+}
+
 Hooks.on('getActorDirectoryEntryContext', addReloadToActorContext);
 
 /**
@@ -460,3 +670,162 @@ Hooks.on('canvasInit', function () {
     // Extend Diagonal Measurement
     SquareGrid.prototype.measureDistances = measureDistances;
 });
+
+/* -------------------------------------------- */
+/*  Token HUD                                   */
+/* -------------------------------------------- */
+
+/**
+ * Shows on the HUD of a token how much of each of the user's targets it can see through the scene walls
+ * @ignore
+ * @param {TokenHUD} hud
+ * @param html
+ */
+function addVisibilityToTokenHUD(hud, html) {
+    let token = hud.object;
+    let targets = [...game.user.targets].filter((target) => target !== token);
+
+    if (targets.length === 0) {
+        return;
+    }
+
+    let ratios = targets.map((target) => getVisibilityRatio(token, target));
+    let lowestRatio = Math.min(...ratios);
+
+    let indicator = $('<div></div>');
+    indicator.addClass('control-icon custom-system-visibility');
+    indicator.attr(
+        'title',
+        targets.map((target, idx) => target.name + ' : ' + Math.round(ratios[idx] * 100) + '% visible').join('\n')
+    );
+
+    let icon = $('<i></i>');
+    icon.addClass('fas ' + (lowestRatio === 1 ? 'fa-eye' : lowestRatio > 0 ? 'fa-eye-low-vision' : 'fa-eye-slash'));
+    indicator.append(icon);
+
+    $(html).find('.col.left').append(indicator);
+}
+
+Hooks.on('renderTokenHUD', addVisibilityToTokenHUD);
+
+/* -------------------------------------------- */
+/*  Owned Items Changes                         */
+/* -------------------------------------------- */
+
+/**
+ * Recomputes the owner's props when one of its items changes, as formulas can read owned items
+ * @ignore
+ * @param {CustomItem} item
+ */
+function refreshItemOwner(item) {
+    let owner = item.parent;
+
+    if (owner?.type === 'character' && item.type === 'equippableItem') {
+        owner.reset();
+        owner.render(false);
+    }
+}
+
+Hooks.on('createItem', refreshItemOwner);
+Hooks.on('updateItem', refreshItemOwner);
+Hooks.on('deleteItem', refreshItemOwner);
+
+/* -------------------------------------------- */
+/*  Auras                                       */
+/* -------------------------------------------- */
+
+/**
+ * Flags the token updates changing the position, size or disposition of a token, as auras depend on them.
+ * Values are compared as numbers, so that updates to the same position are not refreshed.
+ * @ignore
+ * @param {TokenDocument} tokenDocument
+ * @param {Object} changes
+ * @param {Object} options
+ */
+function flagAuraRefreshOnTokenUpdate(tokenDocument, changes, options) {
+    if (
+        ['x', 'y', 'width', 'height', 'disposition'].some(
+            (key) => key in changes && Number(changes[key]) !== Number(tokenDocument[key])
+        )
+    ) {
+        options.refreshAuras = true;
+    }
+}
+
+/**
+ * Recomputes the actors affected by a flagged token update : the token itself, and the tokens in range of its auras
+ * before and after the update
+ * @ignore
+ * @param {TokenDocument} tokenDocument
+ * @param {Object} changes
+ * @param {Object} options
+ */
+function refreshAurasOnTokenUpdate(tokenDocument, changes, options) {
+    if (tokenDocument.parent === canvas.scene && options.refreshAuras) {
+        refreshAuras(tokenDocument.id);
+    }
+}
+
+/**
+ * Flags the updates of characters changing their auras. Changes of aura values are refreshed when the character is
+ * prepared.
+ * @ignore
+ * @param {CustomActor} actor
+ * @param {Object} changes
+ * @param {Object} options
+ */
+function flagAuraRefreshOnActorUpdate(actor, changes, options) {
+    if (
+        actor.type === 'character' &&
+        changes.system?.auras &&
+        haveAurasChanged(actor.system.auras, changes.system.auras)
+    ) {
+        options.refreshAuras = true;
+    }
+}
+
+/**
+ * Recomputes the actors affected by the auras of the tokens of a flagged character update
+ * @ignore
+ * @param {CustomActor} actor
+ * @param {Object} changes
+ * @param {Object} options
+ */
+function refreshAurasOnActorUpdate(actor, changes, options) {
+    if (!options.refreshAuras || !canvas?.ready) {
+        return;
+    }
+
+    for (let token of actor.getActiveTokens().filter((token) => token.scene === canvas.scene)) {
+        refreshAuras(token.id);
+    }
+}
+
+Hooks.on('canvasReady', () => refreshAuras());
+Hooks.on('createToken', (tokenDocument) => refreshAuras(tokenDocument.id));
+Hooks.on('deleteToken', (tokenDocument) => refreshAuras(tokenDocument.id));
+Hooks.on('preUpdateToken', flagAuraRefreshOnTokenUpdate);
+Hooks.on('updateToken', refreshAurasOnTokenUpdate);
+Hooks.on('preUpdateActor', flagAuraRefreshOnActorUpdate);
+Hooks.on('updateActor', refreshAurasOnActorUpdate);
+
+/* -------------------------------------------- */
+/*  Prop history                                */
+/* -------------------------------------------- */
+
+/**
+ * Records the prop changes of characters in their prop history.
+ * Updates with the recordPropHistory option set to false are not recorded.
+ * @ignore
+ * @param {CustomActor} actor
+ * @param {Object} changes
+ * @param {Object} options
+ * @param {string} userId
+ */
+function recordPropHistory(actor, changes, options, userId) {
+    if (actor.type === 'character' && options.recordPropHistory !== false) {
+        recordPropChanges(actor, changes, userId);
+    }
+}
+
+Hooks.on('preUpdateActor', recordPropHistory);
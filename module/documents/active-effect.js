@@ -0,0 +1,27 @@
+/**
+ * Extend the base ActiveEffect document
+ * @extends {ActiveEffect}
+ */
+export class CustomActiveEffect extends ActiveEffect {
+    /**
+     * Effects transferred from unequipped items do not apply to the actor
+     * @override
+     * @return {boolean}
+     */
+    get isSuppressed() {
+        return super.isSuppressed || (this.parent instanceof Item && this.parent.system.equipped === false);
+    }
+
+    /**
+     * Changes targeting dynamic table columns are applied by the actor modifiers only, as their keys are not
+     * property paths
+     * @override
+     */
+    apply(actor, change) {
+        if (/^system\.props\.[A-Za-z0-9_]+[.(]/.test(change.key)) {
+            return {};
+        }
+
+        return super.apply(actor, change);
+    }
+}
@@ -1,6 +1,15 @@
-import { UncomputableError } from '../errors/errors.js';
+import {
+    ActorReferenceError,
+    TemplateInheritanceError,
+    UncomputableError,
+    UserInputCancelledError
+} from '../errors/errors.js';
 import { applyModifiers, removeEmpty } from '../utils.js';
+import DependencyGraph from '../formulas/DependencyGraph.js';
+import Formula from '../formulas/Formula.js';
 import Component from '../sheets/components/Component.js';
+import { getAuraModifiers, updateAuraValues } from '../auras.js';
+import { getComponentKeys, getComponentTypes, getInheritedKeys, resolveTemplateData } from '../template-inheritance.js';
 
 /**
  * Extend the base Actor document
@@ -15,6 +24,100 @@ export class CustomActor extends Actor {
         return this.type === '_template';
     }
 
+    /**
+     * Dependency cycles found between computed props during the last data preparation, formatted as A → B → C → A
+     * @return {Array<string>}
+     */
+    get propertyCycles() {
+        return this._propertyCycles ?? [];
+    }
+
+    /**
+     * Modifiers applied to computed props during the last data preparation, by prop key.
+     * Dynamic table cells are keyed by table.row.column.
+     * @return {Object<{base: *, steps: Array<{source: string, operator: string, group: string, value: string, result: *}>, result: *}>}
+     */
+    get modifierBreakdowns() {
+        return this._modifierBreakdowns ?? {};
+    }
+
+    /**
+     * Finds the actors matching a reference, which can be :
+     * - selected : the actor of the first controlled token, or the user's character
+     * - target : the actor of the first targeted token
+     * - targets : the actors of every targeted token
+     * - an Actor or Token UUID. Unlinked tokens give their synthetic actor.
+     * - a token id in the current scene, or an actor id
+     * - an actor name, which must be unique
+     * @param {string} reference The actor reference
+     * @return {Array<CustomActor>} The matching actors, never empty
+     * @throws {ActorReferenceError} If no actor matches the reference, or if several actors have the referenced name
+     */
+    static resolveReferences(reference) {
+        let actors;
+
+        // UUIDs start with the document type, like Actor.id or Scene.id.Token.id. Other references with dots, like
+        // Sgt. Hale, are names.
+        let document = isUuid(reference) ? fromUuidSync(reference) : null;
+
+        if (reference === 'selected') {
+            actors = [canvas.tokens?.controlled[0]?.actor ?? game.user.character];
+        } else if (reference === 'target') {
+            actors = [game.user.targets.first()?.actor];
+        } else if (reference === 'targets') {
+            actors = [...game.user.targets].map((token) => token.actor);
+        } else if (document?.documentName === 'Token') {
+            actors = [document.actor];
+        } else if (document?.documentName === 'Actor') {
+            actors = [document];
+        } else if (canvas.scene?.tokens.has(reference)) {
+            actors = [canvas.scene.tokens.get(reference).actor];
+        } else if (game.actors.has(reference)) {
+            actors = [game.actors.get(reference)];
+        } else {
+            actors = game.actors.filter((actor) => actor.name === reference);
+
+            if (actors.length > 1) {
+                throw new ActorReferenceError(
+                    actors.length +
+                        ' actors are named ' +
+                        reference +
+                        '. Use a token id or a UUID to reference one of them.',
+                    reference,
+                    true
+                );
+            }
+        }
+
+        actors = actors.filter((actor) => actor);
+
+        if (actors.length === 0) {
+            throw new ActorReferenceError('No actor found for reference ' + reference, reference);
+        }
+
+        return actors;
+    }
+
+    /**
+     * Finds the single actor matching a reference. See {@link CustomActor.resolveReferences} for the reference syntax.
+     * @param {string} reference The actor reference
+     * @return {CustomActor} The matching actor
+     * @throws {ActorReferenceError} If no actor or several actors match the reference
+     */
+    static resolveReference(reference) {
+        let actors = CustomActor.resolveReferences(reference);
+
+        if (actors.length > 1) {
+            throw new ActorReferenceError(
+                actors.length + ' actors match the reference ' + reference + ' where only one is expected',
+                reference,
+                true
+            );
+        }
+
+        return actors[0];
+    }
+
     _onCreate(data, options, userId) {
         super._onCreate(data, options, userId);
 
@@ -49,6 +152,11 @@ export class CustomActor extends Actor {
      */
     prepareDerivedData() {
         this._prepareCharacterData();
+
+        // Aura values are computed with the final props, for the actors affected by the auras
+        if (this.type === 'character') {
+            updateAuraValues(this);
+        }
     }
 
     /**
@@ -63,19 +171,26 @@ export class CustomActor extends Actor {
 
         // Computing item modifiers
         const modifierPropsByKey = {};
+        this._modifierBreakdowns = {};
 
+        // Conditions and values of item, status and active effect modifiers are computed when the modifiers are
+        // applied, once the props they read are computed
         for (let item of this.items) {
-            if (item.system.modifiers) {
+            // Unequipped items do not change the actor props
+            if (item.system.modifiers && item.system.equipped !== false) {
                 for (let modifier of item.system.modifiers) {
                     if (!modifierPropsByKey[modifier.key]) {
                         modifierPropsByKey[modifier.key] = [];
                     }
 
-                    modifier.value = ComputablePhrase.computeMessageStatic(modifier.formula, item.system.props, {
-                        defaultValue: 0
+                    // Modifiers without explicit source come from their item, for group stacking rules
+                    modifierPropsByKey[modifier.key].push({
+                        ...modifier,
+                        source: modifier.source || item.name,
+                        conditions: [item.system.modifiersCondition, modifier.condition],
+                        item: item,
+                        value: undefined
                     });
-
-                    modifierPropsByKey[modifier.key].push(modifier);
                 }
             }
         }
@@ -87,15 +202,33 @@ export class CustomActor extends Actor {
                         modifierPropsByKey[modifier.key] = [];
                     }
 
-                    modifier.value = ComputablePhrase.computeMessageStatic(modifier.formula, this.system.props, {
-                        defaultValue: 0
+                    modifierPropsByKey[modifier.key].push({
+                        ...modifier,
+                        source: modifier.source || effect.name,
+                        conditions: [modifier.condition],
+                        value: undefined
                     });
-
-                    modifierPropsByKey[modifier.key].push(modifier);
                 }
             }
         }
 
+        for (let modifier of this._getActiveEffectModifiers()) {
+            if (!modifierPropsByKey[modifier.key]) {
+                modifierPropsByKey[modifier.key] = [];
+            }
+
+            modifierPropsByKey[modifier.key].push(modifier);
+        }
+
+        // Auras of other tokens in range, with conditions checked against this actor props
+        for (let modifier of getAuraModifiers(this)) {
+            if (!modifierPropsByKey[modifier.key]) {
+                modifierPropsByKey[modifier.key] = [];
+            }
+
+            modifierPropsByKey[modifier.key].push({ ...modifier, conditions: [modifier.condition] });
+        }
+
         // Computing all properties
         let computableProps = {};
         let attributeBars = system.attributeBar;
@@ -149,16 +282,27 @@ export class CustomActor extends Actor {
 
         system.props = removeEmpty(system.props);
 
+        // Props are computed in dependency order, so that each prop is computed after the props it uses
+        let dependencyGraph = new DependencyGraph(
+            computableProps,
+            this._getModifierPhrases(modifierPropsByKey, computableProps)
+        );
+        this._propertyCycles = dependencyGraph.formattedCycles;
+
+        for (let cycle of this._propertyCycles) {
+            console.warn('Dependency cycle in props of ' + this.name + ' : ' + cycle);
+        }
+
         let computedProps;
         let uncomputedProps = { ...computableProps };
 
         // Loop while all props are not computed
-        // Some computed properties are used in other computed properties, so we need to make several passes to compute them all
+        // References built at computation time can not be sorted beforehand, so we may still need several passes
         do {
             computedProps = {};
 
             // For each uncomputed property, we try compute it
-            for (let prop in uncomputedProps) {
+            for (let prop of dependencyGraph.sortedProps.filter((prop) => prop in uncomputedProps)) {
                 try {
                     let newComputedRows = {};
 
@@ -167,13 +311,34 @@ export class CustomActor extends Actor {
 
                         for (let row in foundry.utils.getProperty(system.props, dynamicTableKey)) {
                             if (!foundry.utils.getProperty(system.props, dynamicTableKey + '.' + row).deleted) {
+                                let cellValue = ComputablePhrase.computeMessageStatic(
+                                    uncomputedProps[prop],
+                                    system.props,
+                                    {
+                                        reference: `${dynamicTableKey}.${row}`,
+                                        availableKeys: Object.keys(computableProps),
+                                        actor: this
+                                    }
+                                ).result;
+
+                                let rowModifiers = this._getRowModifiers(
+                                    modifierPropsByKey,
+                                    dynamicTableKey,
+                                    row,
+                                    dynamicTableField
+                                );
+                                if (rowModifiers.length > 0) {
+                                    cellValue = this._applyModifiers(
+                                        `${dynamicTableKey}.${row}.${dynamicTableField}`,
+                                        cellValue,
+                                        rowModifiers
+                                    );
+                                }
+
                                 foundry.utils.setProperty(
                                     newComputedRows,
                                     `${dynamicTableKey}.${row}.${dynamicTableField}`,
-                                    ComputablePhrase.computeMessageStatic(uncomputedProps[prop], system.props, {
-                                        reference: `${dynamicTableKey}.${row}`,
-                                        availableKeys: Object.keys(computableProps)
-                                    }).result
+                                    cellValue
                                 );
                             }
                         }
@@ -182,18 +347,24 @@ export class CustomActor extends Actor {
                             uncomputedProps[prop],
                             system.props,
                             {
-                                availableKeys: Object.keys(computableProps)
+                                availableKeys: Object.keys(computableProps),
+                                actor: this
                             }
                         ).result;
 
                         if (modifierPropsByKey[prop]) {
-                            newComputedRows[prop] = applyModifiers(newComputedRows[prop], modifierPropsByKey[prop]);
+                            newComputedRows[prop] = this._applyModifiers(
+                                prop,
+                                newComputedRows[prop],
+                                modifierPropsByKey[prop]
+                            );
                         }
                     }
 
                     // If successful, the property is added to computedProp and deleted from uncomputedProps
                     console.debug('Computed ' + prop + ' successfully !');
                     foundry.utils.mergeObject(computedProps, newComputedRows);
+                    system.props = foundry.utils.mergeObject(system.props, newComputedRows);
                     delete uncomputedProps[prop];
                 } catch (err) {
                     if (err instanceof UncomputableError) {
@@ -217,9 +388,6 @@ export class CustomActor extends Actor {
                 computedProps: computedProps,
                 leftToCompute: uncomputedProps
             });
-
-            // We add the props computed in this loop to the actor's system
-            system.props = foundry.utils.mergeObject(system.props, computedProps);
         } while (
             // If no uncomputed props are left, we computed everything, and we can stop
             // If computedProps is empty, that means nothing was computed in this loop, and there is an error in the property definitions
@@ -349,18 +517,208 @@ export class CustomActor extends Actor {
         return rollData;
     }
 
+    /**
+     * Applies modifiers to a computed value, following the modifier groups of the actor, and records the
+     * applied modifiers in the breakdown of the prop. Modifiers whose conditions are not met are ignored.
+     * @param {string} key The prop key, or table.row.column for dynamic table cells
+     * @param {*} value The computed value
+     * @param {Array<Object>} modifiers The modifiers targeting the prop
+     * @return {*} The modified value
+     * @private
+     */
+    _applyModifiers(key, value, modifiers) {
+        let steps = [];
+        let activeModifiers = modifiers.map((modifier) => this._resolveModifier(modifier)).filter(Boolean);
+        let result = applyModifiers(value, activeModifiers, this.system.modifierGroups, steps);
+
+        this._modifierBreakdowns[key] = { base: value, steps, result };
+
+        return result;
+    }
+
+    /**
+     * Gets the modifiers targeting a cell of a dynamic table. Modifier keys can target the column in every row with
+     * table.column, in the rows matching a filter with table(filterColumn=value).column, or in a single row with
+     * table.rowId.column
+     * @param {Object<Array<Object>>} modifierPropsByKey The modifiers, by modifier key
+     * @param {string} dynamicTableKey The dynamic table key
+     * @param {string} row The row id
+     * @param {string} column The column key
+     * @return {Array<Object>} The modifiers applying to the cell
+     * @private
+     */
+    _getRowModifiers(modifierPropsByKey, dynamicTableKey, row, column) {
+        let rowData = foundry.utils.getProperty(this.system.props, dynamicTableKey + '.' + row) ?? {};
+        let rowModifiers = [];
+
+        for (let [key, modifiers] of Object.entries(modifierPropsByKey)) {
+            let [match, tableKey, filterColumn, filterValue, rowId, targetColumn] =
+                key.match(/^([a-zA-Z0-9_]+)(?:\(([a-zA-Z0-9_]+)=(.+)\))?(?:\.([a-zA-Z0-9_-]+))?\.([a-zA-Z0-9_]+)$/) ??
+                [];
+
+            if (!match || tableKey !== dynamicTableKey || targetColumn !== column) {
+                continue;
+            }
+
+            if (filterColumn && String(rowData[filterColumn]) !== filterValue) {
+                continue;
+            }
+
+            if (rowId !== undefined && rowId !== row) {
+                continue;
+            }
+
+            rowModifiers.push(...modifiers);
+        }
+
+        return rowModifiers;
+    }
+
+    /**
+     * Checks the conditions of a modifier and computes its value with the current props of the actor.
+     * Item modifiers are computed with the actor props and the item props, the item props taking precedence.
+     * @param {Object} modifier The modifier, with its conditions, its item and its value if already computed
+     * @return {Object|null} The modifier with its value, or null if one of its conditions is not met
+     * @private
+     */
+    _resolveModifier(modifier) {
+        let props = modifier.item
+            ? {
+                  ...this.system.props,
+                  ...modifier.item.system.props,
+                  equipped: modifier.item.system.equipped ?? true
+              }
+            : this.system.props;
+
+        if (!(modifier.conditions ?? []).every((condition) => this._isConditionMet(condition, props))) {
+            return null;
+        }
+
+        if (modifier.value !== undefined) {
+            return modifier;
+        }
+
+        return {
+            ...modifier,
+            value: ComputablePhrase.computeMessageStatic(modifier.formula, props, { defaultValue: 0, actor: this })
+        };
+    }
+
+    /**
+     * Gathers the formulas and conditions of the modifiers applied to each computable prop, so that the props they
+     * read are computed first. Aura values are computed with the props of their owner and are not included.
+     * @param {Object<Array<Object>>} modifierPropsByKey The modifiers, by modifier key
+     * @param {Object<string>} computableProps The computable props, with their formulas
+     * @return {Object<string>} The modifier phrases, by computable prop
+     * @private
+     */
+    _getModifierPhrases(modifierPropsByKey, computableProps) {
+        let phrases = {};
+
+        for (let [key, modifiers] of Object.entries(modifierPropsByKey)) {
+            // Dynamic table modifiers target the column of the table, like table(filterColumn=value).column
+            let [, tableKey, column] =
+                key.match(/^([a-zA-Z0-9_]+)(?:\(.+\))?(?:\.[a-zA-Z0-9_-]+)?\.([a-zA-Z0-9_]+)$/) ?? [];
+            let prop = key in computableProps ? key : tableKey + '.' + column;
+
+            if (!(prop in computableProps)) {
+                continue;
+            }
+
+            let modifierPhrases = [phrases[prop] ?? ''];
+            for (let modifier of modifiers) {
+                for (let condition of modifier.conditions ?? []) {
+                    if (condition?.trim()) {
+                        modifierPhrases.push('${' + condition + '}$');
+                    }
+                }
+
+                // Modifier formulas are phrases already
+                if (modifier.value === undefined && modifier.formula) {
+                    modifierPhrases.push(modifier.formula);
+                }
+            }
+
+            phrases[prop] = modifierPhrases.join(' ');
+        }
+
+        return phrases;
+    }
+
+    /**
+     * Checks a modifier condition formula. Empty conditions are always met.
+     * @param {string|undefined} condition The condition formula, without enclosing ${ and }$
+     * @param {Object} props The props used to compute the condition
+     * @return {boolean} True if the condition gives true or a non-zero number
+     * @private
+     */
+    _isConditionMet(condition, props) {
+        if (!condition?.trim()) {
+            return true;
+        }
+
+        let result = new Formula(condition).computeStatic(props, { defaultValue: 0, actor: this }).result;
+
+        return result === true || result === 'true' || (typeof result === 'number' && result !== 0);
+    }
+
+    /**
+     * Converts the changes of active effects targeting system.props.<key> to modifiers, including the effects
+     * transferred from owned items. Disabled and suppressed effects are ignored.
+     * Values are computed when the modifiers are applied, with the item props for effects transferred from items.
+     * @return {Array<{key: string, operator: string, priority: number, formula: string, source: string, item: CustomItem|undefined, value: undefined}>}
+     * @private
+     */
+    _getActiveEffectModifiers() {
+        const operators = {
+            [CONST.ACTIVE_EFFECT_MODES.ADD]: 'add',
+            [CONST.ACTIVE_EFFECT_MODES.MULTIPLY]: 'multiply',
+            [CONST.ACTIVE_EFFECT_MODES.OVERRIDE]: 'set',
+            [CONST.ACTIVE_EFFECT_MODES.UPGRADE]: 'upgrade',
+            [CONST.ACTIVE_EFFECT_MODES.DOWNGRADE]: 'downgrade'
+        };
+
+        let modifiers = [];
+
+        for (let effect of this.allApplicableEffects()) {
+            if (!effect.active) {
+                continue;
+            }
+
+            for (let change of effect.changes) {
+                // Keys can target top-level props or dynamic table columns, like system.props.weapons(type=melee).strength
+                let key = change.key.match(/^system\.props\.([A-Za-z0-9_]+(?:\(.+\))?(?:\.[A-Za-z0-9_-]+)*)$/)?.[1];
+
+                if (key && operators[change.mode]) {
+                    modifiers.push({
+                        key: key,
+                        operator: operators[change.mode],
+                        priority: change.priority ?? change.mode * 10,
+                        formula: String(change.value),
+                        source: effect.parent instanceof Item ? effect.parent.name : effect.name,
+                        item: effect.parent instanceof Item ? effect.parent : undefined,
+                        value: undefined
+                    });
+                }
+            }
+        }
+
+        return modifiers;
+    }
+
     /**
      * Rolls a template's defined roll with this Character properties
      * @param {string} rollKey The key of the Component holding the roll
      * @param {Object} [options={}] Roll options
      * @param {boolean} [options.postMessage=true] If the roll should be automatically posted as a Chat Message
-     * @returns {Promise<ComputablePhrase>} The computed roll
+     * @param {string|null} [options.reference=null] Reference used in case of dynamic table field syntax. Ignored if the roll key holds a filter.
+     * @param {Object} [options.localVars={}] Initial local variables of the roll, like the ones of the roll it follows up
+     * @returns {Promise<ComputablePhrase|null>} The computed roll, or null if the user cancelled it
      * @throws {Error} If the key does not have a roll
      */
     async roll(rollKey, options = {}) {
-        let { postMessage = true, alternative = false } = options;
+        let { postMessage = true, alternative = false, reference = null, localVars = {} } = options;
         let refRoll = rollKey.split('.');
-        let reference = null;
         let [filterMatch, parentProp, filterProp, filterValue] =
             refRoll.shift().match(/^([a-zA-Z0-9_]+)\(([a-zA-Z0-9_]+)=(.+)\)$/) ?? [];
 
@@ -384,10 +742,21 @@ export class CustomActor extends Actor {
 
         if (rollText) {
             let phrase = new ComputablePhrase(rollText);
-            await phrase.compute(this.system.props, {
-                reference: reference,
-                computeExplanation: true
-            });
+            try {
+                await phrase.compute(this.system.props, {
+                    reference: reference,
+                    computeExplanation: true,
+                    actor: this,
+                    localVars: localVars
+                });
+            } catch (err) {
+                // Closing a user input dialog aborts the roll
+                if (err instanceof UserInputCancelledError) {
+                    return null;
+                }
+
+                throw err;
+            }
 
             if (postMessage) {
                 let speakerData = ChatMessage.getSpeaker({
@@ -524,11 +893,14 @@ export class CustomActor extends Actor {
     }
 
     /**
-     * Gets all keys in template, in a set
+     * Gets all keys in template, in a set, including the keys inherited from the parent templates
+     * @param {Object} [options={}]
+     * @param {boolean} [options.inherited=true] Include the keys inherited from the parent templates
      * @return {Set} The set of keys
      */
-    getKeys() {
-        let keys = new Set();
+    getKeys(options = {}) {
+        let { inherited = true } = options;
+        let keys = inherited ? getInheritedKeys(this) : new Set();
 
         for (let hiddenProp of this.system.hidden) {
             keys.add(hiddenProp.name);
@@ -546,47 +918,223 @@ export class CustomActor extends Actor {
         return keys;
     }
 
+    /**
+     * Lists the changes a template reload would make to this character : keys added, props removed, keys changing
+     * of component type and attribute bars dropped
+     * @param {string|null} [templateId=null] New template id. If not set, will use the current template.
+     * @return {{actor: string, added: Array<string>, removed: Array<{key: string, value: *}>, typeChanged: Array<{key: string, previousType: string, type: string}>, droppedBars: Array<string>}}
+     * @throws {TemplateInheritanceError} If the template or its parent templates can not be resolved
+     */
+    getTemplateReloadDiff(templateId = null) {
+        return this._prepareTemplateReload(templateId || this.system.template).diff;
+    }
+
     /**
      * Reloads this character templates, updating the component structure, and re-renders the sheet.
+     * The template structure is merged with the structure of its parent templates.
+     * If the reload removes or changes props, the changes are shown for confirmation first.
+     * Removed props are saved in the actor flags, and can be restored with {@link restoreRemovedProps}.
      * @param {string|null} [templateId=null] New template id. If not set, will reload the current template.
+     * @param {Object} [options={}]
+     * @param {boolean} [options.confirm=true] Ask for confirmation if the reload removes or changes props
+     * @param {Object} [options.mappedProps={}] Props to set before the reload, like the props mapped from the previous
+     * template when switching templates
+     * @return {Promise<boolean>} If the template was reloaded
      */
-    reloadTemplate(templateId = null) {
-        templateId = templateId || this.system.template;
+    async reloadTemplate(templateId = null, options = {}) {
+        let { confirm = true, mappedProps = {} } = options;
 
-        const template = game.actors.get(templateId);
+        templateId = templateId || this.system.template;
 
-        for (let barName in this.system.attributeBar) {
-            if (!template.system.attributeBar[barName]) {
-                template.system.attributeBar['-=' + barName] = null;
+        let reloadData;
+        try {
+            reloadData = this._prepareTemplateReload(templateId);
+        } catch (err) {
+            if (err instanceof TemplateInheritanceError) {
+                ui.notifications.error(err.message);
+                return false;
             }
+
+            throw err;
         }
 
-        let availableKeys = template.getKeys();
-        for (let prop in this.system.props) {
-            if (!availableKeys.has(prop)) {
-                this.system.props['-=' + prop] = true;
-            }
+        let { templateData, diff } = reloadData;
+
+        if (confirm && hasTemplateReloadChanges(diff) && !(await CustomActor.confirmTemplateReload([diff]))) {
+            return false;
+        }
+
+        let attributeBar = { ...templateData.attributeBar };
+        for (let barName of diff.droppedBars) {
+            attributeBar['-=' + barName] = null;
+        }
+
+        // The update is built apart, the current props are only changed once it is saved
+        let props = foundry.utils.mergeObject(this.system.props, mappedProps, { inplace: false });
+
+        let removedProps = {};
+        for (let { key, value } of diff.removed) {
+            removedProps[key] = value;
+            props['-=' + key] = null;
         }
 
         this.sheet._hasBeenRenderedOnce = false;
 
         // Updates hidden properties, tabs & header data
         // Sheet rendering will handle the actual props creation
-        this.update({
-            system: {
-                template: templateId,
-                hidden: template.system.hidden,
-                body: template.system.body,
-                header: template.system.header,
-                display: template.system.display,
-                attributeBar: template.system.attributeBar,
-                activeEffects: template.system.activeEffects,
-                props: this.system.props
+        await this.update(
+            {
+                system: {
+                    template: templateId,
+                    hidden: templateData.hidden,
+                    body: templateData.body,
+                    header: templateData.header,
+                    display: templateData.display,
+                    attributeBar: attributeBar,
+                    activeEffects: templateData.activeEffects,
+                    modifierGroups: templateData.modifierGroups,
+                    auras: templateData.auras,
+                    props: props
+                },
+                flags: {
+                    'custom-system-builder': {
+                        removedProps: removedProps
+                    }
+                }
+            },
+            // Reloads save computed props as well, which are not changes
+            { recordPropHistory: false }
+        );
+
+        console.debug('Updated !');
+        this.sheet.render(false);
+
+        return true;
+    }
+
+    /**
+     * Restores the props removed by previous template reloads, if their key exists in the current template.
+     * The other removed props are kept for later restorations.
+     * @return {Promise<Array<string>>} The restored keys
+     */
+    async restoreRemovedProps() {
+        let removedProps = this.getFlag('custom-system-builder', 'removedProps') ?? {};
+        let availableKeys = new Set([
+            ...this.system.hidden.map((hiddenProp) => hiddenProp.name),
+            ...getComponentKeys(this.system.header),
+            ...getComponentKeys(this.system.body)
+        ]);
+
+        let restoredKeys = Object.keys(removedProps).filter((key) => availableKeys.has(key));
+
+        if (restoredKeys.length > 0) {
+            let update = {};
+            for (let key of restoredKeys) {
+                update['system.props.' + key] = removedProps[key];
+                update['flags.custom-system-builder.removedProps.-=' + key] = null;
+            }
+
+            await this.update(update);
+        }
+
+        return restoredKeys;
+    }
+
+    /**
+     * Shows the changes of template reloads and asks for confirmation
+     * @param {Array<Object>} diffs The reload changes of each character, from {@link getTemplateReloadDiff}
+     * @return {Promise<boolean>} If the user confirmed the reload
+     */
+    static async confirmTemplateReload(diffs) {
+        let content = await renderTemplate(
+            'systems/custom-system-builder/templates/actor/dialogs/template-reload.html',
+            {
+                multiple: diffs.length > 1,
+                diffs: diffs.map((diff) => ({
+                    ...diff,
+                    hasChanges: diff.added.length > 0 || hasTemplateReloadChanges(diff),
+                    removed: diff.removed.map(({ key, value }) => ({
+                        key,
+                        value: value && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '')
+                    }))
+                }))
             }
-        }).then(() => {
-            console.debug('Updated !');
-            this.sheet.render(false);
+        );
+
+        let confirmed = await Dialog.confirm({
+            title: diffs.length > 1 ? 'Reload all character sheets ?' : 'Reload template ?',
+            content: content,
+            defaultYes: false
         });
+
+        return confirmed === true;
+    }
+
+    /**
+     * Resolves the structure of a template and compares it with the structure of this character
+     * @param {string} templateId The template id
+     * @return {{templateData: Object, diff: Object}} The merged template structure and the changes of the reload
+     * @throws {TemplateInheritanceError} If the template or its parent templates can not be resolved
+     * @private
+     */
+    _prepareTemplateReload(templateId) {
+        const template = game.actors.get(templateId);
+
+        if (!template) {
+            throw new TemplateInheritanceError('Template ' + templateId + ' of ' + this.name + ' not found');
+        }
+        let templateData = resolveTemplateData(template);
+
+        let availableKeys = template.getKeys();
+        for (let key of [
+            ...templateData.hidden.map((hiddenProp) => hiddenProp.name),
+            ...getComponentKeys(templateData.header),
+            ...getComponentKeys(templateData.body)
+        ]) {
+            availableKeys.add(key);
+        }
+
+        let previousTypes = this._getStructureTypes(this.system);
+        let types = this._getStructureTypes(templateData);
+
+        let diff = {
+            actor: this.name,
+            added: Object.keys(types).filter((key) => !(key in previousTypes)),
+            removed: Object.keys(this.system.props)
+                .filter((prop) => !availableKeys.has(prop))
+                .map((prop) => ({ key: prop, value: this.system.props[prop] })),
+            typeChanged: Object.keys(types)
+                .filter((key) => key in previousTypes && previousTypes[key] !== types[key])
+                .map((key) => ({ key, previousType: previousTypes[key], type: types[key] })),
+            droppedBars: Object.keys(this.system.attributeBar ?? {}).filter(
+                (barName) => !templateData.attributeBar?.[barName]
+            )
+        };
+
+        return { templateData, diff };
+    }
+
+    /**
+     * Maps the keys of a character structure to their component type, hidden attributes having the hidden type
+     * @param {Object} structure The structure, holding header, body and hidden attributes
+     * @return {Object<string>}
+     * @private
+     */
+    _getStructureTypes(structure) {
+        let types = {};
+
+        for (let hiddenProp of structure.hidden ?? []) {
+            types[hiddenProp.name] = 'hidden';
+        }
+
+        getComponentTypes(structure.header, types);
+        getComponentTypes(structure.body, types);
+
+        // Root panels are not props
+        delete types[structure.header?.key];
+        delete types[structure.body?.key];
+
+        return types;
     }
 
     /**
@@ -627,3 +1175,23 @@ Hooks.on('preCreateItem', (item, createData, options, userId) => {
         if (!actor.canOwnItem(item)) return false; // prevent creation
     }
 });
+
+/**
+ * Checks if an actor reference has the shape of an Actor, Token or Compendium UUID
+ * @param {string} reference
+ * @return {boolean}
+ * @ignore
+ */
+const isUuid = (reference) => {
+    return /^(Actor|Scene|Compendium)\./.test(reference);
+};
+
+/**
+ * Checks if a template reload removes or changes anything in a character, so that data could be lost
+ * @param {Object} diff The reload changes, from {@link CustomActor#getTemplateReloadDiff}
+ * @return {boolean}
+ * @ignore
+ */
+const hasTemplateReloadChanges = (diff) => {
+    return diff.removed.length > 0 || diff.typeChanged.length > 0 || diff.droppedBars.length > 0;
+};
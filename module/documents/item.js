@@ -1,5 +1,7 @@
-import { UncomputableError } from '../errors/errors.js';
+import { TemplateInheritanceError, UncomputableError } from '../errors/errors.js';
+import { getInheritedKeys, resolveTemplateData } from '../template-inheritance.js';
 import { applyModifiers, removeEmpty } from '../utils.js';
+import DependencyGraph from '../formulas/DependencyGraph.js';
 
 export class CustomItem extends Item {
     /**
@@ -10,6 +12,14 @@ export class CustomItem extends Item {
         return this.type === '_equippableItemTemplate' || this.type === 'subTemplate';
     }
 
+    /**
+     * Dependency cycles found between computed props during the last data preparation, formatted as A → B → C → A
+     * @return {Array<string>}
+     */
+    get propertyCycles() {
+        return this._propertyCycles ?? [];
+    }
+
     get items() {
         return new Collection();
     }
@@ -124,16 +134,24 @@ export class CustomItem extends Item {
 
         system.props = removeEmpty(system.props);
 
+        // Props are computed in dependency order, so that each prop is computed after the props it uses
+        let dependencyGraph = new DependencyGraph(computableProps);
+        this._propertyCycles = dependencyGraph.formattedCycles;
+
+        for (let cycle of this._propertyCycles) {
+            console.warn('Dependency cycle in props of ' + this.name + ' : ' + cycle);
+        }
+
         let computedProps;
         let uncomputedProps = { ...computableProps };
 
         // Loop while all props are not computed
-        // Some computed properties are used in other computed properties, so we need to make several passes to compute them all
+        // References built at computation time can not be sorted beforehand, so we may still need several passes
         do {
             computedProps = {};
 
             // For each uncomputed property, we try compute it
-            for (let prop in uncomputedProps) {
+            for (let prop of dependencyGraph.sortedProps.filter((prop) => prop in uncomputedProps)) {
                 try {
                     let newComputedRows = {};
 
@@ -146,7 +164,8 @@ export class CustomItem extends Item {
                                     newComputedRows,
                                     `${dynamicTableKey}.${row}.${dynamicTableField}`,
                                     ComputablePhrase.computeMessageStatic(uncomputedProps[prop], system.props, {
-                                        reference: `${dynamicTableKey}.${row}`
+                                        reference: `${dynamicTableKey}.${row}`,
+                                        parentActor: this.parent
                                     }).result
                                 );
                             }
@@ -168,6 +187,7 @@ export class CustomItem extends Item {
                     // If successful, the property is added to computedProp and deleted from uncomputedProps
                     console.debug('Computed ' + prop + ' successfully !');
                     foundry.utils.mergeObject(computedProps, newComputedRows);
+                    system.props = foundry.utils.mergeObject(system.props, newComputedRows);
                     delete uncomputedProps[prop];
                 } catch (err) {
                     if (err instanceof UncomputableError) {
@@ -191,9 +211,6 @@ export class CustomItem extends Item {
                 computedProps: computedProps,
                 leftToCompute: uncomputedProps
             });
-
-            // We add the props computed in this loop to the actor's system
-            system.props = foundry.utils.mergeObject(system.props, computedProps);
         } while (
             // If no uncomputed props are left, we computed everything and we can stop
             // If computedProps is empty, that means nothing was computed in this loop, and there is an error in the property definitions
@@ -270,11 +287,14 @@ export class CustomItem extends Item {
     }
 
     /**
-     * Gets all keys in template, in a set
+     * Gets all keys in template, in a set, including the keys inherited from the parent templates
+     * @param {Object} [options={}]
+     * @param {boolean} [options.inherited=true] Include the keys inherited from the parent templates
      * @return {Set} The set of keys
      */
-    getKeys() {
-        let keys = new Set();
+    getKeys(options = {}) {
+        let { inherited = true } = options;
+        let keys = inherited ? getInheritedKeys(this) : new Set();
 
         let keyedPropsHeader = this._fetchSpecialFields(this.system.header).keyedProperties;
         let keyedPropsBody = this._fetchSpecialFields(this.system.body).keyedProperties;
@@ -295,6 +315,7 @@ export class CustomItem extends Item {
 
     /**
      * Reloads this item's templates, updating the component structure, and re-renders the sheet.
+     * The template structure is merged with the structure of its parent templates.
      * @param {string|null} [templateId=null] New template id. If not set, will reload the current template.
      */
     reloadTemplate(templateId = null) {
@@ -302,6 +323,18 @@ export class CustomItem extends Item {
 
         const template = game.items.get(templateId);
 
+        let templateData;
+        try {
+            templateData = resolveTemplateData(template);
+        } catch (err) {
+            if (err instanceof TemplateInheritanceError) {
+                ui.notifications.error(err.message);
+                return;
+            }
+
+            throw err;
+        }
+
         this.sheet._hasBeenRenderedOnce = false;
 
         // Updates hidden properties, tabs & header data
@@ -309,10 +342,10 @@ export class CustomItem extends Item {
         this.update({
             system: {
                 template: templateId,
-                hidden: template.system.hidden,
-                body: template.system.body,
-                header: template.system.header,
-                display: template.system.display
+                hidden: templateData.hidden,
+                body: templateData.body,
+                header: templateData.header,
+                display: templateData.display
             }
         }).then(() => {
             console.debug('Updated !');
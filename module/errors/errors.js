@@ -17,3 +17,70 @@ export class UncomputableError extends Error {
         this.props = props;
     }
 }
+
+/**
+ * Error thrown when a user closes a user input dialog instead of validating it
+ */
+export class UserInputCancelledError extends Error {
+    /**
+     * UserInputCancelledError constructor
+     * @param {string} message Error message
+     * @param {string} formula The formula requesting the user inputs
+     */
+    constructor(message, formula) {
+        super(message);
+
+        this.formula = formula;
+    }
+}
+
+/**
+ * Error thrown when an actor reference matches no actor, or several actors where only one is expected
+ */
+export class ActorReferenceError extends Error {
+    /**
+     * ActorReferenceError constructor
+     * @param {string} message Error message
+     * @param {string} reference The actor reference
+     * @param {boolean} [ambiguous=false] Indicates if several actors match the reference
+     */
+    constructor(message, reference, ambiguous = false) {
+        super(message);
+
+        this.reference = reference;
+        this.ambiguous = ambiguous;
+    }
+}
+
+/**
+ * Error thrown when a distance can not be measured, because a token or a target is missing
+ */
+export class DistanceMeasurementError extends Error {
+    /**
+     * DistanceMeasurementError constructor
+     * @param {string} message Error message
+     * @param {string|null} [reference=null] The reference of the token which could not be found
+     */
+    constructor(message, reference = null) {
+        super(message);
+
+        this.reference = reference;
+    }
+}
+
+/**
+ * Error thrown when a template or its parent templates can not be resolved, because one is missing or because
+ * templates inherit from each other
+ */
+export class TemplateInheritanceError extends Error {
+    /**
+     * TemplateInheritanceError constructor
+     * @param {string} message Error message
+     * @param {Array<string>} [templateNames=[]] The names of the templates of the inheritance chain
+     */
+    constructor(message, templateNames = []) {
+        super(message);
+
+        this.templateNames = templateNames;
+    }
+}
@@ -1,4 +1,5 @@
 import Formula from './Formula.js';
+import DiceSource from './DiceSource.js';
 import { postAugmentedChatMessage } from '../utils.js';
 
 /**
@@ -26,6 +27,34 @@ class ComputablePhrase {
      */
     _computedFormulas = {};
 
+    /**
+     * Data needed to replay the phrase computation with the same dice, if it was computed with a dice source
+     * @type {Object|null}
+     * @private
+     */
+    _replayData = null;
+
+    /**
+     * Follow-up rolls declared in the phrase with @followUp{Button label|rollKey}
+     * @type {Array<{label: string, rollKey: string}>}
+     * @private
+     */
+    _followUps = [];
+
+    /**
+     * Local variables defined by the phrase formulas, including the initial local variables
+     * @type {Object}
+     * @private
+     */
+    _localVars = {};
+
+    /**
+     * Reference used to compute the phrase, in case of dynamic table field syntax
+     * @type {string|null}
+     * @private
+     */
+    _reference = null;
+
     /**
      * Constructs new ComputablePhrase with a phrase to compute
      * @param {string} phrase The phrase to compute
@@ -89,12 +118,53 @@ class ComputablePhrase {
         return this._computedFormulas;
     }
 
+    /**
+     * Data needed to replay the phrase computation with the same dice : phrase, reference, default value, user inputs,
+     * dice source and dice results, the result of each formula and the phrase result.
+     * Null if the phrase was computed with random dice.
+     * @return {Object|null}
+     */
+    get replayData() {
+        return this._replayData
+            ? {
+                  ...this._replayData,
+                  formulaResults: Object.values(this._computedFormulas).map((formula) => formatResult(formula.result)),
+                  result: this.result
+              }
+            : null;
+    }
+
+    /**
+     * Gets the follow-up rolls declared in the phrase, rendered as buttons on its chat message
+     * @return {Array<{label: string, rollKey: string}>}
+     */
+    get followUps() {
+        return this._followUps;
+    }
+
+    /**
+     * Gets the local variables defined by the phrase formulas, used to compute its follow-up rolls
+     * @return {Object}
+     */
+    get localVars() {
+        return this._localVars;
+    }
+
+    /**
+     * Gets the reference used to compute the phrase
+     * @return {string|null}
+     */
+    get reference() {
+        return this._reference;
+    }
+
     /**
      * Posts phrase as a Chat Message
      * @param options
+     * @return {Promise<ChatMessage|Object|undefined>} The created message
      */
     postMessage(options) {
-        postAugmentedChatMessage(this, options);
+        return postAugmentedChatMessage(this, options);
     }
 
     /**
@@ -106,6 +176,11 @@ class ComputablePhrase {
      * @param {boolean} [options.computeExplanation=false] Indicates whether to compute Formula explanation
      * @param {boolean} [options.availableKeys=[]] Indicates the full key list which should be available to compute values
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
+     * @param {Object} [options.userInputs=null] User input values given upfront. If every user input of a formula has a value, the user is not asked.
+     * @param {DiceSource|null} [options.diceSource] Deterministic source of the dice results. If not set, the formula adapter creates it from the world settings.
+     * @param {Object} [options.localVars={}] Initial local variables, like the ones of the phrase this one follows up
+     * @param {boolean} [options.grantItems=true] Indicates whether items drawn from roll tables prefixed with + are given to the actor
      * @return {ComputablePhrase} This phrase
      * @throws {UncomputableError} If a variable can not be computed
      */
@@ -114,7 +189,20 @@ class ComputablePhrase {
 
         let phrase = this._rawPhrase;
 
-        let localVars = {};
+        let localVars = { ...(options.localVars ?? {}) };
+        let userInputs = {};
+
+        // Follow-up rolls are declared as @followUp{Button label|rollKey}, and removed from the displayed phrase
+        let followUps = [];
+        phrase = phrase.replaceAll(/@followUp{(.*?)\|(.*?)}/g, (match, label, rollKey) => {
+            followUps.push({ label: label.trim(), rollKey: rollKey.trim() });
+            return '';
+        });
+
+        // Every roll of the phrase, including rolls of nested phrases, uses the same dice source
+        if (options.diceSource === undefined) {
+            options = { ...options, diceSource: Formula.adapter.createDiceSource() };
+        }
 
         let computedFormulas = {};
         let nComputed = 0;
@@ -126,8 +214,8 @@ class ComputablePhrase {
             let formula = new Formula(textFormula.value[0].substring(2).slice(0, -2));
 
             await formula.compute(props, {
-                localVars,
-                ...options
+                ...options,
+                localVars
             });
 
             // Saves formula data
@@ -141,12 +229,33 @@ class ComputablePhrase {
                 ...formula.localVars
             };
 
+            userInputs = {
+                ...userInputs,
+                ...formula.userInputs
+            };
+
             nComputed++;
             textFormula = formulaIterator.next();
         }
 
         this._buildPhrase = phrase;
         this._computedFormulas = computedFormulas;
+        this._followUps = followUps;
+        this._localVars = localVars;
+        this._reference = options.reference ?? null;
+
+        // Props are not saved, the phrase is replayed with the actor props
+        if (options.diceSource) {
+            this._replayData = {
+                phrase: this._rawPhrase,
+                reference: options.reference ?? null,
+                defaultValue: options.defaultValue,
+                localVars: options.localVars ?? {},
+                userInputs: userInputs,
+                diceSource: options.diceSource.toJSON(),
+                diceResults: [...options.diceSource.results]
+            };
+        }
 
         return this;
     }
@@ -160,6 +269,8 @@ class ComputablePhrase {
      * @param {boolean} [options.computeExplanation=false] Indicates whether to compute Formula explanation
      * @param {boolean} [options.availableKeys=[]] Indicates the full key list which should be available to compute values
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
+     * @param {Object} [options.localVars={}] Initial local variables
      * @return {ComputablePhrase} This phrase
      * @throws {UncomputableError} If a variable can not be computed
      */
@@ -168,7 +279,7 @@ class ComputablePhrase {
 
         let phrase = this._rawPhrase;
 
-        let localVars = {};
+        let localVars = { ...(options.localVars ?? {}) };
 
         let computedFormulas = {};
         let nComputed = 0;
@@ -180,8 +291,8 @@ class ComputablePhrase {
             let formula = new Formula(textFormula.value[0].substring(2).slice(0, -2));
 
             formula.computeStatic(props, {
-                localVars,
-                ...options
+                ...options,
+                localVars
             });
 
             // Saves formula data
@@ -201,6 +312,7 @@ class ComputablePhrase {
 
         this._buildPhrase = phrase;
         this._computedFormulas = computedFormulas;
+        this._localVars = localVars;
 
         return this;
     }
@@ -213,6 +325,7 @@ class ComputablePhrase {
      * @param {string|null} [options.reference] Reference used in case of dynamic table field syntax
      * @param {string|null} [options.defaultValue] Default value used in case the variable is not present in props. If null, computation will throw an UncomputableError if a value is not found.
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
      * @return {ComputablePhrase} The computed phrase
      * @throws {UncomputableError} If a variable can not be computed
      */
@@ -223,6 +336,68 @@ class ComputablePhrase {
         return computablePhrase;
     }
 
+    /**
+     * Computes a phrase again from its replay data, with the same dice, user inputs and the props of the actor which
+     * computed it. Drawn items are not given again.
+     * @param {Object} replayData The replay data of the phrase, see {@link ComputablePhrase#replayData}
+     * @param {CustomActor|null} actor The actor which computed the phrase
+     * @param {Object} [options={}] Additional computation options
+     * @return {Promise<ComputablePhrase>} The computed phrase
+     */
+    static async replay(replayData, actor, options = {}) {
+        let computablePhrase = new ComputablePhrase(replayData.phrase);
+        await computablePhrase.compute(actor?.system.props ?? {}, {
+            ...options,
+            actor: actor,
+            reference: replayData.reference,
+            defaultValue: replayData.defaultValue,
+            localVars: replayData.localVars ?? {},
+            userInputs: replayData.userInputs,
+            diceSource: new DiceSource(replayData.diceSource),
+            grantItems: false
+        });
+
+        return computablePhrase;
+    }
+
+    /**
+     * Replays a phrase and compares the dice and the result of each formula with the recorded ones
+     * @param {Object} replayData The replay data of the phrase, see {@link ComputablePhrase#replayData}
+     * @param {CustomActor|null} actor The actor which computed the phrase
+     * @return {Promise<{verified: boolean, phrase: ComputablePhrase, differences: Array<string>}>} The replayed phrase, and
+     * the differences with the recorded computation
+     */
+    static async verify(replayData, actor) {
+        let phrase = await ComputablePhrase.replay(replayData, actor);
+        let differences = [];
+
+        let diceResults = phrase.replayData.diceResults;
+        if (replayData.diceResults && diceResults.join(',') !== replayData.diceResults.join(',')) {
+            differences.push(
+                'dice gave ' + diceResults.join(', ') + ' instead of ' + replayData.diceResults.join(', ')
+            );
+        }
+
+        let formulas = Object.values(phrase.values);
+        (replayData.formulaResults ?? []).forEach((expected, index) => {
+            let result = formatResult(formulas[index]?.result);
+
+            if (result !== expected) {
+                differences.push(
+                    'formula ' +
+                        (formulas[index]?.raw ?? index + 1) +
+                        ' gave "' +
+                        result +
+                        '" instead of "' +
+                        expected +
+                        '"'
+                );
+            }
+        });
+
+        return { verified: differences.length === 0, phrase, differences };
+    }
+
     /**
      * Computes a phrase without any dynamic data such as rolls and user inputs. If rolls or user inputs syntax are present, will throw an error.
      * @param {string} phrase The phrase to compute
@@ -231,6 +406,7 @@ class ComputablePhrase {
      * @param {string|null} [options.reference] Reference used in case of dynamic table field syntax
      * @param {string|null} [options.defaultValue] Default value used in case the variable is not present in props. If null, computation will throw an UncomputableError if a value is not found.
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
      * @return {ComputablePhrase} The computed phrase
      * @throws {UncomputableError} If a variable can not be computed
      */
@@ -251,3 +427,15 @@ class ComputablePhrase {
 }
 
 globalThis.ComputablePhrase = ComputablePhrase;
+
+/**
+ * Formats a formula result for comparison between computations
+ * @param {*} result
+ * @return {string}
+ * @ignore
+ */
+const formatResult = (result) => {
+    return result !== null && typeof result === 'object' ? JSON.stringify(result) : String(result);
+};
+
+export default ComputablePhrase;
@@ -0,0 +1,300 @@
+/**
+ * Class holding the dependencies between computable properties, used to compute them in the right order
+ */
+class DependencyGraph {
+    /**
+     * Dependencies of each property, i.e. the computable properties used in its formula
+     * @type {Object<Set<string>>}
+     * @private
+     */
+    _dependencies = {};
+
+    /**
+     * Properties sorted so that each property comes after the properties it depends on
+     * @type {Array<string>}
+     * @private
+     */
+    _sortedProps = [];
+
+    /**
+     * Dependency cycles found in the graph, as property lists
+     * @type {Array<Array<string>>}
+     * @private
+     */
+    _cycles = [];
+
+    /**
+     * Constructs a new graph from computable properties and their formulas
+     * @param {Object<string>} computableProps The computable properties, with their formulas
+     * @param {Object<string>} [extraPhrases={}] Other phrases read when computing properties, like the formulas of the
+     * modifiers applied to them. Properties do not depend on themselves through these phrases.
+     */
+    constructor(computableProps, extraPhrases = {}) {
+        for (let prop in computableProps) {
+            this._dependencies[prop] = DependencyGraph.extractDependencies(
+                prop,
+                computableProps[prop],
+                computableProps
+            );
+
+            if (extraPhrases[prop]) {
+                for (let dependency of DependencyGraph.extractDependencies(prop, extraPhrases[prop], computableProps)) {
+                    if (dependency !== prop) {
+                        this._dependencies[prop].add(dependency);
+                    }
+                }
+            }
+        }
+
+        this._sortedProps = this._sort();
+        this._cycles = this._findCycles();
+    }
+
+    /**
+     * Dependencies of each property, i.e. the computable properties used in its formula
+     * @return {Object<Set<string>>}
+     */
+    get dependencies() {
+        return this._dependencies;
+    }
+
+    /**
+     * Properties sorted so that each property comes after the properties it depends on.
+     * Properties in a cycle are included, in an arbitrary order.
+     * @return {Array<string>}
+     */
+    get sortedProps() {
+        return this._sortedProps;
+    }
+
+    /**
+     * Dependency cycles found in the graph, as property lists. The first property is repeated at the end of each list.
+     * @return {Array<Array<string>>}
+     */
+    get cycles() {
+        return this._cycles;
+    }
+
+    /**
+     * Dependency cycles found in the graph, formatted as A → B → C → A
+     * @return {Array<string>}
+     */
+    get formattedCycles() {
+        return this._cycles.map((cycle) => cycle.join(' → '));
+    }
+
+    /**
+     * Sorts properties with a depth-first search, placing dependencies first
+     * @return {Array<string>}
+     * @private
+     */
+    _sort() {
+        let sorted = [];
+        let visited = new Set();
+
+        const visit = (prop) => {
+            if (visited.has(prop)) {
+                return;
+            }
+
+            visited.add(prop);
+            for (let dependency of this._dependencies[prop]) {
+                visit(dependency);
+            }
+
+            sorted.push(prop);
+        };
+
+        for (let prop in this._dependencies) {
+            visit(prop);
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Finds every cycle in the graph, using Tarjan's strongly connected components algorithm
+     * @return {Array<Array<string>>}
+     * @private
+     */
+    _findCycles() {
+        let index = 0;
+        let indexes = {};
+        let lowLinks = {};
+        let stack = [];
+        let onStack = new Set();
+        let components = [];
+
+        const connect = (prop) => {
+            indexes[prop] = index;
+            lowLinks[prop] = index;
+            index++;
+            stack.push(prop);
+            onStack.add(prop);
+
+            for (let dependency of this._dependencies[prop]) {
+                if (indexes[dependency] === undefined) {
+                    connect(dependency);
+                    lowLinks[prop] = Math.min(lowLinks[prop], lowLinks[dependency]);
+                } else if (onStack.has(dependency)) {
+                    lowLinks[prop] = Math.min(lowLinks[prop], indexes[dependency]);
+                }
+            }
+
+            if (lowLinks[prop] === indexes[prop]) {
+                let component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== prop);
+
+                components.push(component);
+            }
+        };
+
+        for (let prop in this._dependencies) {
+            if (indexes[prop] === undefined) {
+                connect(prop);
+            }
+        }
+
+        return components
+            .filter((component) => component.length > 1 || this._dependencies[component[0]].has(component[0]))
+            .map((component) => this._getCyclePath(new Set(component)));
+    }
+
+    /**
+     * Gets a path going through a strongly connected component and back to its first property
+     * @param {Set<string>} component The properties of the component
+     * @return {Array<string>}
+     * @private
+     */
+    _getCyclePath(component) {
+        let start = Object.keys(this._dependencies).find((prop) => component.has(prop));
+        let previous = {};
+        let queue = [start];
+
+        while (queue.length > 0) {
+            let prop = queue.shift();
+
+            for (let dependency of this._dependencies[prop]) {
+                if (!component.has(dependency)) {
+                    continue;
+                }
+
+                if (dependency === start) {
+                    let path = [start];
+                    for (let step = prop; step !== start; step = previous[step]) {
+                        path.unshift(step);
+                    }
+
+                    path.unshift(start);
+                    return path;
+                }
+
+                if (previous[dependency] === undefined) {
+                    previous[dependency] = prop;
+                    queue.push(dependency);
+                }
+            }
+        }
+
+        return [start, start];
+    }
+
+    /**
+     * Extracts the computable properties used in a property's formula.
+     * References built at computation time, like ref(sameRow('column')), can not be resolved and are ignored.
+     * @param {string} prop The property key, with a dot if it is a dynamic table column
+     * @param {string} phrase The property's phrase, holding formulas enclosed in ${ and }$
+     * @param {Object<string>} computableProps All the computable properties
+     * @return {Set<string>} The computable properties used in the phrase
+     */
+    static extractDependencies(prop, phrase, computableProps) {
+        let dependencies = new Set();
+        let dynamicTableKey = prop.includes('.') ? prop.split('.')[0] : null;
+
+        const addReference = (reference) => {
+            for (let dependency of DependencyGraph._resolveReference(reference, computableProps)) {
+                dependencies.add(dependency);
+            }
+        };
+
+        let formulas = String(phrase ?? '').matchAll(/\${(.*?)}\$/g);
+        for (let [, formula] of formulas) {
+            for (let [, , reference] of formula.matchAll(/\bref\(\s*(['"])([A-Za-z0-9_.]+)\1/g)) {
+                addReference(reference);
+            }
+
+            for (let [, , column] of formula.matchAll(/\bsameRow\(\s*(['"])([A-Za-z0-9_]+)\1/g)) {
+                if (dynamicTableKey) {
+                    addReference(dynamicTableKey + '.' + column);
+                }
+            }
+
+            for (let [, , dynamicTable, , targetColumn, , filterColumn] of formula.matchAll(
+                /\bfetchFromDynamicTable\(\s*(['"])([A-Za-z0-9_.]+)\1\s*,\s*(['"])([A-Za-z0-9_]+)\3(?:\s*,\s*(['"])([A-Za-z0-9_]+)\5)?/g
+            )) {
+                addReference(dynamicTable + '.' + targetColumn);
+                if (filterColumn) {
+                    addReference(dynamicTable + '.' + filterColumn);
+                }
+            }
+
+            // Legacy syntax : @prop, $column and dynamicTable(filterColumn=value)$targetColumn
+            for (let [, reference] of formula.matchAll(/@([A-Za-z0-9_.]+)/g)) {
+                addReference(reference);
+            }
+
+            for (let [, column] of formula.matchAll(/(?<![A-Za-z0-9_.)])\$([A-Za-z0-9_]+)/g)) {
+                if (dynamicTableKey) {
+                    addReference(dynamicTableKey + '.' + column);
+                }
+            }
+
+            for (let [, dynamicTable, , filterColumn, targetColumn] of formula.matchAll(
+                /([A-Za-z0-9_.]+)(\(([A-Za-z0-9_]+)@?=.+?\))?\$([A-Za-z0-9_]+)/g
+            )) {
+                addReference(dynamicTable + '.' + targetColumn);
+                if (filterColumn) {
+                    addReference(dynamicTable + '.' + filterColumn);
+                }
+            }
+
+            // Bare symbols are fetched from the props by the formula parser
+            let unquotedFormula = formula.replaceAll(/(?<!\\)'.*?(?<!\\)'/g, '').replaceAll(/".*?"/g, '');
+            for (let [symbol] of unquotedFormula.matchAll(
+                /(?<![A-Za-z0-9_.@$])[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*(?![A-Za-z0-9_.]|\s*\()/g
+            )) {
+                addReference(symbol);
+            }
+        }
+
+        return dependencies;
+    }
+
+    /**
+     * Resolves a property path to the computable properties it reads
+     * @param {string} reference The property path, like prop, dynamicTable, dynamicTable.column or dynamicTable.row.column
+     * @param {Object<string>} computableProps All the computable properties
+     * @return {Array<string>}
+     * @private
+     */
+    static _resolveReference(reference, computableProps) {
+        if (computableProps[reference] !== undefined) {
+            return [reference];
+        }
+
+        let path = reference.split('.');
+        if (path.length > 2 && computableProps[path[0] + '.' + path[path.length - 1]] !== undefined) {
+            return [path[0] + '.' + path[path.length - 1]];
+        }
+
+        // A whole dynamic table is referenced, every computed column is needed
+        return Object.keys(computableProps).filter((prop) => prop.startsWith(reference + '.'));
+    }
+}
+
+export default DependencyGraph;
@@ -0,0 +1,128 @@
+import { createSeededRandom } from '../utils.js';
+
+/**
+ * Deterministic source of dice results, used to replay and verify rolls.
+ * Scripted results are given first, in order, then results are generated from the seed.
+ */
+class DiceSource {
+    /**
+     * The seed of the random number generator
+     * @type {string}
+     * @private
+     */
+    _seed;
+
+    /**
+     * The scripted results, given before using the seed
+     * @type {Array<number>}
+     * @private
+     */
+    _scripted;
+
+    /**
+     * The scripted results which have not been used yet
+     * @type {Array<number>}
+     * @private
+     */
+    _remainingScripted;
+
+    /**
+     * The seeded random number generator
+     * @type {function(): number}
+     * @private
+     */
+    _random;
+
+    /**
+     * The results given by this source, in order
+     * @type {Array<number>}
+     * @private
+     */
+    _results = [];
+
+    /**
+     * Constructs a new dice source
+     * @param {Object} [options={}]
+     * @param {string|number|null} [options.seed=null] The seed. If null, a new random seed is generated.
+     * @param {Array<number>} [options.scripted=[]] The scripted results, given before using the seed
+     */
+    constructor({ seed = null, scripted = [] } = {}) {
+        this._seed = String(seed ?? DiceSource.generateSeed());
+        this._scripted = scripted.map(Number);
+        this._remainingScripted = [...this._scripted];
+        this._random = createSeededRandom(this._seed);
+    }
+
+    /**
+     * Generates a new random seed
+     * @return {string}
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296).toString(36);
+    }
+
+    /**
+     * Parses a scripted results list, like 6, 6, 1
+     * @param {string} text
+     * @return {Array<number>}
+     */
+    static parseScripted(text) {
+        return String(text ?? '')
+            .split(/[\s,;]+/)
+            .filter((result) => result !== '' && !Number.isNaN(Number(result)))
+            .map(Number);
+    }
+
+    /**
+     * The seed of the random number generator
+     * @return {string}
+     */
+    get seed() {
+        return this._seed;
+    }
+
+    /**
+     * The scripted results, given before using the seed
+     * @return {Array<number>}
+     */
+    get scripted() {
+        return this._scripted;
+    }
+
+    /**
+     * The results given by this source, in order
+     * @return {Array<number>}
+     */
+    get results() {
+        return this._results;
+    }
+
+    /**
+     * Gets the next die result
+     * @param {number} faces The number of faces of the die
+     * @return {number} A result between 1 and faces
+     */
+    nextResult(faces) {
+        let result =
+            this._remainingScripted.length > 0
+                ? this._remainingScripted.shift()
+                : Math.floor(this._random() * faces) + 1;
+
+        this._results.push(result);
+
+        return result;
+    }
+
+    /**
+     * Returns a plain object describing the dice source, used to build an identical source
+     * @return {{seed: string, scripted: Array<number>}}
+     */
+    toJSON() {
+        return {
+            seed: this._seed,
+            scripted: this._scripted
+        };
+    }
+}
+
+export default DiceSource;
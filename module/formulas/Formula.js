@@ -1,9 +1,57 @@
-import { UncomputableError } from '../errors/errors.js';
+import {
+    ActorReferenceError,
+    DistanceMeasurementError,
+    UncomputableError,
+    UserInputCancelledError
+} from '../errors/errors.js';
+import formulaCache from './FormulaCache.js';
+import FormulaScope from './FormulaScope.js';
 
 /**
  * Class holding formula details, for explanation
  */
 class Formula {
+    /**
+     * Names of the custom functions available in formulas, in addition to mathjs functions
+     * @type {Array<string>}
+     */
+    static CUSTOM_FUNCTIONS = [
+        'fetchFromDynamicTable',
+        'first',
+        'ref',
+        'sameRow',
+        'replace',
+        'replaceAll',
+        'recalculate',
+        'getPropertyDataFromActor',
+        'dicePool',
+        'successes',
+        'criticals',
+        'rerollOnes',
+        'rerollFailures',
+        'sumItems',
+        'countItems',
+        'itemProp',
+        'distanceTo',
+        'withinRange',
+        'canSee',
+        'visibilityRatio'
+    ];
+
+    /**
+     * Types of user inputs, declared like ?{name:type(params)|default}
+     * @type {Array<string>}
+     */
+    static USER_INPUT_TYPES = ['text', 'number', 'select', 'checkbox'];
+
+    /**
+     * Adapter giving access to the environment : dice, roll tables, user inputs and documents.
+     * Set by the system on init, or by the headless engine.
+     * @type {FormulaAdapter|null}
+     * @private
+     */
+    static _adapter = null;
+
     /**
      * The raw uncomputed formula
      * @type {string}
@@ -67,6 +115,13 @@ class Formula {
      */
     _explanation = true;
 
+    /**
+     * Values entered in the formula's user inputs
+     * @type {Object}
+     * @private
+     */
+    _userInputs = {};
+
     /**
      * Construct a new formula from a string
      * @param {string} formula The formula to compute
@@ -147,6 +202,58 @@ class Formula {
         return this._explanation;
     }
 
+    /**
+     * Values entered in the formula's user inputs
+     * @return {Object}
+     */
+    get userInputs() {
+        return this._userInputs;
+    }
+
+    /**
+     * Adapter giving access to the environment : dice, roll tables, user inputs and documents
+     * @return {FormulaAdapter}
+     * @throws {Error} If no adapter has been set
+     */
+    static get adapter() {
+        if (!Formula._adapter) {
+            throw new Error('No formula adapter has been set, formulas can not be computed');
+        }
+
+        return Formula._adapter;
+    }
+
+    /**
+     * Sets the adapter used by every formula computation : the Foundry VTT adapter in the system, or a headless
+     * adapter to compute formulas outside of Foundry VTT
+     * @param {FormulaAdapter} adapter
+     */
+    static useAdapter(adapter) {
+        Formula._adapter = adapter;
+    }
+
+    /**
+     * Parses a user input declaration, like name, name:checkbox, name:number(min, max) or name:select(option1, option2).
+     * Declarations without a known type are text inputs named after the whole declaration.
+     * @param {string} declaration The user input, without its delimiters and default value
+     * @return {{name: string, type: string, params: Array<string>}} The input name, type and raw parameters
+     */
+    static parseUserInputDeclaration(declaration) {
+        let [, name, type, params] =
+            declaration.match(new RegExp('^(.*?):(' + Formula.USER_INPUT_TYPES.join('|') + ')(?:\\((.*)\\))?$', 's')) ??
+            [];
+
+        if (!type) {
+            return { name: declaration, type: 'text', params: [] };
+        }
+
+        return {
+            name: name.trim(),
+            type,
+            params: params ? readFunctionArguments(params + ')', 0).map((param) => param.trim()) : []
+        };
+    }
+
     /**
      * Returns a plain object describing the formula
      * @return {{result: string, hasDice: boolean, hidden: boolean, raw: string, parsed: string, tokens: Object<string>, rolls: Object<Roll>}}
@@ -174,6 +281,10 @@ class Formula {
      * @param {boolean} [options.computeExplanation=false] Indicates whether to compute Formula explanation
      * @param {boolean} [options.availableKeys=[]] Indicates the full key list which should be available to compute values
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
+     * @param {Object} [options.userInputs=null] User input values given upfront. If every user input has a value, the user is not asked.
+     * @param {DiceSource} [options.diceSource=null] Deterministic source of the dice results. If null, dice are random.
+     * @param {boolean} [options.grantItems=true] Indicates whether items drawn from roll tables prefixed with + are given to the actor
      * @returns {Promise<Formula>} This formula
      * @throws {UncomputableError} If a variable can not be computed
      */
@@ -181,7 +292,7 @@ class Formula {
         // Reference is used to compute formulas in dynamic table, to reference a same-line data
         // Default value is used in case a token is not computable
         // Local vars are used to re-use previously defined vars in the phrase
-        let { localVars = {} } = options ?? {};
+        let { localVars = {}, userInputs = null } = options ?? {};
 
         console.debug('Computing rolls & user inputs in ${' + this._raw + '}$');
 
@@ -210,18 +321,39 @@ class Formula {
 
         while (!userInputToken.done) {
             let userInputData = userInputToken.value[0].substring(2).slice(0, -1);
-            let userInputName = userInputData.split('|', 2)[0];
-            let userInputDefaultFormula = userInputData.split('|', 2)[1];
+            let [userInputDeclaration, userInputDefaultFormula] = userInputData.split('|', 2);
+            let { name: userInputName, type, params } = Formula.parseUserInputDeclaration(userInputDeclaration);
 
             let userInputDefault = null;
             if (userInputDefaultFormula) {
                 userInputDefault = (await new Formula(userInputDefaultFormula).compute(props, options)).result;
             }
 
-            allUserVars.push({
+            let userVar = {
                 name: userInputName,
-                default: userInputDefault
-            });
+                type: type,
+                default: userInputDefault,
+                isNumber: type === 'number',
+                isSelect: type === 'select',
+                isCheckbox: type === 'checkbox'
+            };
+
+            switch (type) {
+                case 'number':
+                    // Parameters are the min and max values, and can be formulas
+                    userVar.min = params[0] ? (await new Formula(params[0]).compute(props, options)).result : null;
+                    userVar.max = params[1] ? (await new Formula(params[1]).compute(props, options)).result : null;
+                    userVar.default = userInputDefault ?? userVar.min;
+                    break;
+                case 'select':
+                    userVar.options = await getUserInputOptions(params, props, options);
+                    break;
+                case 'checkbox':
+                    userVar.default = Boolean(userInputDefault) && userInputDefault !== 'false';
+                    break;
+            }
+
+            allUserVars.push(userVar);
 
             formula = formula.replace(userInputToken.value[0], userInputName);
 
@@ -229,35 +361,77 @@ class Formula {
         }
 
         if (allUserVars.length > 0) {
-            let content = await renderTemplate(
-                `systems/custom-system-builder/templates/_template/dialogs/user-input.html`,
-                { allUserVars: allUserVars }
-            );
-
-            let userData = await new Promise((resolve) => {
-                Dialog.prompt({
-                    content: content,
-                    callback: (html) => {
-                        let values = {};
-                        let inputs = $(html).find('input.custom-system-user-input');
+            let userData;
 
-                        for (let elt of inputs) {
-                            values[$(elt).data('var-name')] = $(elt).val();
-                        }
+            // Values given upfront, for example to replay a roll, do not need to be asked again
+            if (userInputs && allUserVars.every((userVar) => userInputs[userVar.name] !== undefined)) {
+                userData = {};
+                for (let userVar of allUserVars) {
+                    userData[userVar.name] = parseUserInputValue(userVar, userInputs[userVar.name]);
+                }
+            } else {
+                userData = await Formula.adapter.promptUserInputs(allUserVars, parseUserInputValue);
+            }
 
-                        resolve(values);
-                    },
-                    render: (html) => {
-                        $(html).find('input')[0].focus();
-                        $(html).find('input')[0].select();
-                    },
-                    rejectClose: false
-                });
-            });
+            if (userData === null) {
+                throw new UserInputCancelledError('User input cancelled in ${' + this._raw + '}$', this._raw);
+            }
 
+            this._userInputs = userData;
             localVars = { ...localVars, ...userData };
         }
 
+        // Handling dice pools - rolls given as first argument of a pool function keep their individual dice results.
+        // The same pool written several times in the formula, with the same dice modifier, is rolled once, so that
+        // successes([5d6], 3) and criticals([5d6], 6) count the same dice.
+        let poolCallRegex = new RegExp('\\b(' + Object.keys(DICE_POOL_MODIFIERS).join('|') + ')\\((?=\\s*\\[)', 'g');
+        let poolCall;
+        let nPools = 0;
+        let rolledPools = {};
+        while ((poolCall = poolCallRegex.exec(formula)) !== null) {
+            let argsStart = poolCallRegex.lastIndex;
+            let args = readFunctionArguments(formula, argsStart);
+            let rollString = args[0].trim();
+
+            // Roll tables and expressions mixing rolls are left to the standard roll handling
+            if (!/^\[[^#\]][^\]]*]$/.test(rollString)) {
+                continue;
+            }
+
+            // Modifier parameters, like the reroll target, are needed before rolling the dice
+            let getModifier = DICE_POOL_MODIFIERS[poolCall[1]];
+            let modifierParams = [];
+            for (let arg of args.slice(1, getModifier.length + 1)) {
+                modifierParams.push((await new Formula(arg).compute(props, { ...options, localVars })).result);
+            }
+
+            let diceModifier = getModifier(...modifierParams);
+            let poolKey = rollString.replaceAll(/\s/g, '') + diceModifier;
+            let poolName = rolledPools[poolKey];
+
+            if (!poolName) {
+                console.debug('\tRolling dice pool ' + rollString);
+
+                let { roll } = await this.evaluateRoll(rollString.slice(1, -1), props, options, diceModifier);
+
+                poolName = '_dicePool_' + nPools;
+                nPools++;
+                rolledPools[poolKey] = poolName;
+
+                localVars = {
+                    ...localVars,
+                    [poolName]: roll.dice.flatMap((die) =>
+                        die.results.filter((result) => result.active).map((result) => result.result)
+                    )
+                };
+
+                rolls.push({ formula: getRollFormula(rollString, roll), roll: roll.toJSON() });
+            }
+
+            formula = formula.slice(0, argsStart) + poolName + formula.slice(argsStart + args[0].length);
+            poolCallRegex.lastIndex = argsStart + poolName.length;
+        }
+
         // Handling rolls - rolls are enclosed in brackets []
         let rollMessages = formula.matchAll(/\[.+?]/g);
         let roll = rollMessages.next();
@@ -274,16 +448,14 @@ class Formula {
                     rollString,
                     () => "'" + rollResult.results.map((e) => e.getChatText()).join(', ') + "'"
                 );
+
+                // The drawn results are available to later formulas, like ref('lastDraw.name')
+                localVars = { ...localVars, lastDraw: getDrawData(rollResult) };
             } else {
                 // Replacing roll result in formula for computing and saving roll data for display in chat message
                 formula = formula.replace(rollString, rollResult.roll.total);
 
-                let rollFormula =
-                    rollString === '[' + rollResult.roll.formula + ']'
-                        ? rollString
-                        : rollString + ' → [' + rollResult.roll.formula + ']';
-
-                rolls.push({ formula: rollFormula, roll: rollResult.roll.toJSON() });
+                rolls.push({ formula: getRollFormula(rollString, rollResult.roll), roll: rollResult.roll.toJSON() });
             }
 
             roll = rollMessages.next();
@@ -314,6 +486,7 @@ class Formula {
      * @param {boolean} [options.computeExplanation=false] Indicates whether to compute Formula explanation
      * @param {boolean} [options.availableKeys=[]] Indicates the full key list which should be available to compute values
      * @param {Object} [options.parentActor=null] The parent actor in case an Item is attached to an Actor
+     * @param {Object} [options.actor=null] The actor whose items are read by item functions. Defaults to the parent actor.
      * @param {string|null} [formula=null] Formula override used by compute method
      * @returns {Formula} This formula
      * @throws {UncomputableError} If a variable can not be computed
@@ -332,7 +505,8 @@ class Formula {
             rolls = [],
             computeExplanation = false,
             availableKeys = [],
-            parentActor = null
+            parentActor = null,
+            actor = null
         } = options;
 
         const getNumberCastValue = (value) => {
@@ -350,225 +524,335 @@ class Formula {
             ...localVars
         };
 
-        math.import(
-            {
-                fetchFromDynamicTable: (
-                    dynamicTableKey,
-                    targetColumn,
-                    filterColumn = null,
-                    filterValue = null,
-                    comparisonOperator = '==='
-                ) => {
-                    let values = [];
+        // Measures from the actor token to the referenced tokens. Every target gives its own value.
+        // Missing tokens can be replaced by the fallback value, for example when displayed on a sheet
+        const measureFromToken = (measure, targetReference, fallbackValue) => {
+            let values;
+            try {
+                values = measure(actor ?? parentActor, targetReference);
+            } catch (err) {
+                if (err instanceof DistanceMeasurementError && fallbackValue !== null) {
+                    console.debug(err.message);
+                    return fallbackValue;
+                }
 
-                    let filterFunction = (elt) => true;
+                throw err;
+            }
 
-                    if (filterColumn) {
-                        filterFunction = (elt) => {
-                            switch (comparisonOperator) {
-                                case '===':
-                                    return elt[filterColumn] === filterValue;
-                                case '==':
-                                    return elt[filterColumn] == filterValue;
-                                case '>':
-                                    return elt[filterColumn] > filterValue;
-                                case '>=':
-                                    return elt[filterColumn] >= filterValue;
-                                case '<':
-                                    return elt[filterColumn] < filterValue;
-                                case '<=':
-                                    return elt[filterColumn] <= filterValue;
-                                case '!==':
-                                    return elt[filterColumn] !== filterValue;
-                                case '!=':
-                                    return elt[filterColumn] != filterValue;
-                                default:
-                                    console.error(`\"${comparisonOperator}\" is not a valid comparison operator.`);
-                                    return false;
-                            }
-                        };
-                    }
+            return targetReference === 'targets' ? values : values[0];
+        };
 
-                    if (foundry.utils.getProperty(allValues, dynamicTableKey) !== undefined) {
-                        let dynamicTableProps = foundry.utils.getProperty(allValues, dynamicTableKey);
-                        for (let row in dynamicTableProps) {
-                            if (!dynamicTableProps[row].deleted && filterFunction(dynamicTableProps[row])) {
-                                if (dynamicTableProps[row][targetColumn] === undefined) {
-                                    throw new UncomputableError(
-                                        'Uncomputable token fetchFromDynamicTable("' +
-                                            dynamicTableKey +
-                                            '", "' +
-                                            targetColumn +
-                                            '", "' +
-                                            filterColumn +
-                                            '", "' +
-                                            filterValue +
-                                            '")',
-                                        'fetchFromDynamicTable("' +
-                                            dynamicTableKey +
-                                            '", "' +
-                                            targetColumn +
-                                            '", "' +
-                                            filterColumn +
-                                            '", "' +
-                                            filterValue +
-                                            '")',
-                                        formula,
-                                        allValues
-                                    );
-                                }
+        // Owned items matching a template, given by name or id, and a filter formula computed with the items props
+        const getOwnedItems = (templateName = null, filter = null) => {
+            let items = [...((actor ?? parentActor)?.items ?? [])].filter((item) => item.type === 'equippableItem');
 
-                                values.push(getNumberCastValue(dynamicTableProps[row][targetColumn]));
+            if (templateName) {
+                items = items.filter(
+                    (item) =>
+                        item.system.template === templateName ||
+                        Formula.adapter.getItemTemplateName(item.system.template) === templateName
+                );
+            }
+
+            if (filter) {
+                items = items.filter((item) => {
+                    let filterResult = new Formula(filter).computeStatic(item.system.props, {
+                        defaultValue: 0,
+                        parentActor: actor ?? parentActor
+                    }).result;
+
+                    return filterResult === true || (typeof filterResult === 'number' && filterResult !== 0);
+                });
+            }
+
+            return items;
+        };
+
+        // Custom functions are only available in this formula's scope, so that concurrent computations do not interfere
+        const formulaFunctions = {
+            fetchFromDynamicTable: (
+                dynamicTableKey,
+                targetColumn,
+                filterColumn = null,
+                filterValue = null,
+                comparisonOperator = '==='
+            ) => {
+                let values = [];
+
+                let filterFunction = (elt) => true;
+
+                if (filterColumn) {
+                    filterFunction = (elt) => {
+                        switch (comparisonOperator) {
+                            case '===':
+                                return elt[filterColumn] === filterValue;
+                            case '==':
+                                return elt[filterColumn] == filterValue;
+                            case '>':
+                                return elt[filterColumn] > filterValue;
+                            case '>=':
+                                return elt[filterColumn] >= filterValue;
+                            case '<':
+                                return elt[filterColumn] < filterValue;
+                            case '<=':
+                                return elt[filterColumn] <= filterValue;
+                            case '!==':
+                                return elt[filterColumn] !== filterValue;
+                            case '!=':
+                                return elt[filterColumn] != filterValue;
+                            default:
+                                console.error(`\"${comparisonOperator}\" is not a valid comparison operator.`);
+                                return false;
+                        }
+                    };
+                }
+
+                if (Formula.adapter.getProperty(allValues, dynamicTableKey) !== undefined) {
+                    let dynamicTableProps = Formula.adapter.getProperty(allValues, dynamicTableKey);
+                    for (let row in dynamicTableProps) {
+                        if (!dynamicTableProps[row].deleted && filterFunction(dynamicTableProps[row])) {
+                            if (dynamicTableProps[row][targetColumn] === undefined) {
+                                throw new UncomputableError(
+                                    'Uncomputable token fetchFromDynamicTable("' +
+                                        dynamicTableKey +
+                                        '", "' +
+                                        targetColumn +
+                                        '", "' +
+                                        filterColumn +
+                                        '", "' +
+                                        filterValue +
+                                        '")',
+                                    'fetchFromDynamicTable("' +
+                                        dynamicTableKey +
+                                        '", "' +
+                                        targetColumn +
+                                        '", "' +
+                                        filterColumn +
+                                        '", "' +
+                                        filterValue +
+                                        '")',
+                                    formula,
+                                    allValues
+                                );
                             }
+
+                            values.push(getNumberCastValue(dynamicTableProps[row][targetColumn]));
                         }
                     }
+                }
 
-                    computedTokens[
-                        'fetchFromDynamicTable("' +
-                            dynamicTableKey +
-                            '", "' +
-                            targetColumn +
-                            '", "' +
-                            filterColumn +
-                            '", "' +
-                            filterValue +
-                            '")'
-                    ] = values;
-
-                    return values;
-                },
-                first: (list = [], fallbackValue = null) => {
-                    let returnValue = fallbackValue ?? defaultValue;
-
-                    if (list.length > 0) {
-                        returnValue = getNumberCastValue(list[0]);
-                    }
+                computedTokens[
+                    'fetchFromDynamicTable("' +
+                        dynamicTableKey +
+                        '", "' +
+                        targetColumn +
+                        '", "' +
+                        filterColumn +
+                        '", "' +
+                        filterValue +
+                        '")'
+                ] = values;
+
+                return values;
+            },
+            first: (list = [], fallbackValue = null) => {
+                let returnValue = fallbackValue ?? defaultValue;
 
-                    return returnValue;
-                },
-                ref: (valueRef, fallbackValue = null) => {
-                    let returnValue = fallbackValue ?? defaultValue;
-                    let realValue = undefined;
+                if (list.length > 0) {
+                    returnValue = getNumberCastValue(list[0]);
+                }
 
-                    if (valueRef) {
-                        realValue = foundry.utils.getProperty(allValues, valueRef);
-                        returnValue = getNumberCastValue(realValue) ?? returnValue;
-                    }
+                return returnValue;
+            },
+            ref: (valueRef, fallbackValue = null) => {
+                let returnValue = fallbackValue ?? defaultValue;
+                let realValue = undefined;
 
-                    if (returnValue === undefined || (realValue === undefined && availableKeys.includes(valueRef))) {
-                        throw new UncomputableError(
-                            'Uncomputable token ref(' + valueRef + ')',
-                            'ref(' + valueRef + ')',
-                            formula,
-                            allValues
-                        );
-                    }
+                if (valueRef) {
+                    realValue = Formula.adapter.getProperty(allValues, valueRef);
+                    returnValue = getNumberCastValue(realValue) ?? returnValue;
+                }
 
-                    let fallbackValueString;
-                    if (typeof fallbackValue === 'string') {
-                        fallbackValueString = '"' + fallbackValue + '"';
-                    } else {
-                        fallbackValueString = fallbackValue;
-                    }
+                if (returnValue === undefined || (realValue === undefined && availableKeys.includes(valueRef))) {
+                    throw new UncomputableError(
+                        'Uncomputable token ref(' + valueRef + ')',
+                        'ref(' + valueRef + ')',
+                        formula,
+                        allValues
+                    );
+                }
 
-                    computedTokens[
-                        'ref("' + valueRef + (fallbackValue !== null ? '", ' + fallbackValueString : '"') + ')'
-                    ] = returnValue;
+                let fallbackValueString;
+                if (typeof fallbackValue === 'string') {
+                    fallbackValueString = '"' + fallbackValue + '"';
+                } else {
+                    fallbackValueString = fallbackValue;
+                }
 
-                    return returnValue;
-                },
-                sameRow: (columnName, fallbackValue = null) => {
-                    let fullReference = reference + '.' + columnName;
+                computedTokens[
+                    'ref("' + valueRef + (fallbackValue !== null ? '", ' + fallbackValueString : '"') + ')'
+                ] = returnValue;
 
-                    // Fetching the value inside dynamic table's row
-                    let returnValue =
-                        getNumberCastValue(foundry.utils.getProperty(allValues, fullReference)) ??
-                        fallbackValue ??
-                        defaultValue;
-
-                    if (returnValue === undefined) {
-                        throw new UncomputableError(
-                            'Uncomputable token sameRow(' + columnName + ')',
-                            'sameRow(' + columnName + ')',
-                            formula,
-                            allValues
-                        );
-                    }
+                return returnValue;
+            },
+            sameRow: (columnName, fallbackValue = null) => {
+                let fullReference = reference + '.' + columnName;
+
+                // Fetching the value inside dynamic table's row
+                let returnValue =
+                    getNumberCastValue(Formula.adapter.getProperty(allValues, fullReference)) ??
+                    fallbackValue ??
+                    defaultValue;
+
+                if (returnValue === undefined) {
+                    throw new UncomputableError(
+                        'Uncomputable token sameRow(' + columnName + ')',
+                        'sameRow(' + columnName + ')',
+                        formula,
+                        allValues
+                    );
+                }
+
+                computedTokens['sameRow("' + columnName + '")'] = returnValue;
 
-                    computedTokens['sameRow("' + columnName + '")'] = returnValue;
-
-                    return returnValue;
-                },
-                replace: (text, pattern, replacement) => {
-                    return getNumberCastValue(text.replace(pattern, replacement));
-                },
-                replaceAll: (text, pattern, replacement) => {
-                    return getNumberCastValue(text.replaceAll(pattern, replacement));
-                },
-                recalculate: (userInputData) => {
-                    return getNumberCastValue(new ComputablePhrase(userInputData.toString()).computeStatic(props));
-                },
-                getPropertyDataFromActor: (actorName, formula, fallbackValue = null) => {
-                    formula = formula.replaceAll('"', ' ');
-                    formula = '${' + formula + '}$';
-
-                    let actor;
-                    switch (actorName) {
-                        case 'selected':
-                            actor = canvas.tokens.controlled[0]?.actor ?? game.user.character;
-                            break;
-                        case 'target':
-                            actor = game.user.targets.values().next().value?.actor;
-                            break;
-                        case 'attached':
-                            actor = parentActor;
-                            break;
-                        default:
-                            actor = game.actors.filter((e) => e.name === actorName)[0];
+                return returnValue;
+            },
+            replace: (text, pattern, replacement) => {
+                return getNumberCastValue(text.replace(pattern, replacement));
+            },
+            replaceAll: (text, pattern, replacement) => {
+                return getNumberCastValue(text.replaceAll(pattern, replacement));
+            },
+            recalculate: (userInputData) => {
+                return getNumberCastValue(new ComputablePhrase(userInputData.toString()).computeStatic(props));
+            },
+            getPropertyDataFromActor: (actorReference, formula, fallbackValue = null) => {
+                formula = formula.replaceAll('"', ' ');
+                formula = '${' + formula + '}$';
+
+                let actors;
+                try {
+                    actors =
+                        actorReference === 'attached'
+                            ? [parentActor].filter((actor) => actor)
+                            : Formula.adapter.resolveActorReferences(actorReference);
+                } catch (err) {
+                    // A missing actor can be replaced by the fallback value, an ambiguous reference is always an error
+                    if (err instanceof ActorReferenceError && !err.ambiguous && fallbackValue !== null) {
+                        console.debug(err.message);
+                        return fallbackValue;
                     }
 
-                    // If actor was found
-                    if (actor) {
-                        let actorProps = actor.system.props;
-                        let returnValue = getNumberCastValue(new ComputablePhrase(formula).computeStatic(actorProps));
+                    throw err;
+                }
 
-                        return returnValue ?? fallbackValue ?? defaultValue;
+                if (actors.length === 0) {
+                    if (fallbackValue !== null) {
+                        return fallbackValue;
                     }
 
-                    return fallbackValue ?? defaultValue;
+                    throw new ActorReferenceError('No actor is attached to this item', actorReference);
                 }
+
+                let values = actors.map(
+                    (actor) =>
+                        getNumberCastValue(new ComputablePhrase(formula).computeStatic(actor.system.props).result) ??
+                        fallbackValue ??
+                        defaultValue
+                );
+
+                // Every target gives its own value
+                return actorReference === 'targets' ? values : values[0];
             },
-            { override: true }
-        );
+            sumItems: (templateName, prop, filter = null) => {
+                let total = 0;
+                for (let item of getOwnedItems(templateName, filter)) {
+                    let value = Number(Formula.adapter.getProperty(item.system.props, prop));
+                    if (!Number.isNaN(value)) {
+                        total += value;
+                    }
+                }
 
-        // Detecting local variable to set
-        let localVarName = null;
-        let localVarDecomposed = formula.match(/^([a-zA-Z0-9_-]+):=(.*)$/);
+                return total;
+            },
+            countItems: (templateName = null, filter = null) => {
+                return getOwnedItems(templateName, filter).length;
+            },
+            itemProp: (itemName, prop, fallbackValue = null) => {
+                let item = getOwnedItems().find((item) => item.name === itemName);
+                let value = item ? Formula.adapter.getProperty(item.system.props, prop) : undefined;
 
-        if (localVarDecomposed) {
-            localVarName = localVarDecomposed[1];
-            formula = localVarDecomposed[2];
-        }
+                return value !== undefined ? getNumberCastValue(value) : fallbackValue ?? defaultValue ?? null;
+            },
+            // Pools are rolled once per formula. To count the same dice in several formulas, the pool is kept in a
+            // local variable, like ${pool:=dicePool([5d6])}$, and given to the pool functions : successes(pool, 3)
+            dicePool: (pool) => {
+                return getDiceResults(pool);
+            },
+            successes: (pool, target) => {
+                return countDiceAtLeast(pool, target);
+            },
+            criticals: (pool, critical = 6) => {
+                return countDiceAtLeast(pool, critical);
+            },
+            // Rerolls are applied when rolling the dice pool, only the successes are left to count
+            rerollOnes: (pool, target) => {
+                return countDiceAtLeast(pool, target);
+            },
+            rerollFailures: (pool, target) => {
+                return countDiceAtLeast(pool, target);
+            },
+            distanceTo: (targetReference = 'target', fallbackValue = null) => {
+                return measureFromToken(
+                    (actor, targetReference) => Formula.adapter.measureDistances(actor, targetReference),
+                    targetReference,
+                    fallbackValue
+                );
+            },
+            withinRange: (targetReference, range, fallbackValue = null) => {
+                return measureFromToken(
+                    (actor, targetReference) =>
+                        Formula.adapter
+                            .measureDistances(actor, targetReference)
+                            .map((distance) => distance <= Number(range)),
+                    targetReference,
+                    fallbackValue
+                );
+            },
+            canSee: (targetReference = 'target', fallbackValue = null) => {
+                return measureFromToken(
+                    (actor, targetReference) =>
+                        Formula.adapter.measureVisibility(actor, targetReference).map((ratio) => ratio > 0),
+                    targetReference,
+                    fallbackValue
+                );
+            },
+            visibilityRatio: (targetReference = 'target', fallbackValue = null) => {
+                return measureFromToken(
+                    (actor, targetReference) => Formula.adapter.measureVisibility(actor, targetReference),
+                    targetReference,
+                    fallbackValue
+                );
+            }
+        };
 
-        // If text-vars exist, they have already been handled ; no need to do it again
-        let textVarResult = handleTextVars(formula, textVars);
-        formula = textVarResult.formula;
-        textVars = textVarResult.textVars;
+        // Formula structure only depends on its text, so it is fetched from the cache when possible
+        // Text variables previously extracted by compute method change the generated names, so they bypass the cache
+        let formulaData =
+            Object.keys(textVars).length === 0
+                ? formulaCache.getFormulaData(formula, extractFormulaData)
+                : extractFormulaData(formula, textVars);
 
-        // Stripping formula from remaining spaces to have a consistent parsable string
-        // let strippedFormula = formula.replaceAll(' ', '').trim();
-        let strippedFormula = formula.trim();
+        let { localVarName, legacyTokens } = formulaData;
+        formula = formulaData.formula;
+        textVars = { ...formulaData.textVars };
 
-        // Fetching the rest of the tokens
-        let tokens = strippedFormula.matchAll(/@?\$?[A-Za-z0-9_.]+(((\(.*?\))?\$)?[A-Za-z0-9_]+)?/g);
+        let strippedFormula = formulaData.strippedFormula;
         let computedTokens = {};
         let renamedTokens = {};
 
-        let token = tokens.next();
         let nTransformedNames = 0;
-        while (!token.done) {
-            let tokenString = token.value[0];
-
+        for (let tokenString of legacyTokens) {
             // If token has already been computed, no need to recompute it
             if (!computedTokens[tokenString]) {
                 let isReference = false;
@@ -609,20 +893,20 @@ class Formula {
                     if (filterExpr) {
                         // If expression is "@=", filterValue is a reference to another prop
                         if (filterRef === '@') {
-                            foundry.utils.setProperty(
+                            Formula.adapter.setProperty(
                                 computedTokens,
                                 filterValue,
-                                foundry.utils.getProperty(props, filterValue)
+                                Formula.adapter.getProperty(props, filterValue)
                             );
 
-                            filterValue = foundry.utils.getProperty(props, filterValue);
+                            filterValue = Formula.adapter.getProperty(props, filterValue);
                         }
 
                         filterFunction = (elt) => elt[filterProp] === filterValue;
                     }
 
-                    if (foundry.utils.getProperty(props, dynamicTable) !== undefined) {
-                        let dynamicTableProps = foundry.utils.getProperty(props, dynamicTable);
+                    if (Formula.adapter.getProperty(props, dynamicTable) !== undefined) {
+                        let dynamicTableProps = Formula.adapter.getProperty(props, dynamicTable);
                         for (let row in dynamicTableProps) {
                             if (!dynamicTableProps[row].deleted && filterFunction(dynamicTableProps[row])) {
                                 if (dynamicTableProps[row][targetColumn] === undefined) {
@@ -669,7 +953,7 @@ class Formula {
 
                     strippedFormula = strippedFormula.replaceAll(tokenString, replacedTokenString);
 
-                    foundry.utils.setProperty(
+                    Formula.adapter.setProperty(
                         computedTokens,
                         replacedTokenString,
                         values.length === 1 ? values[0] : values
@@ -683,24 +967,22 @@ class Formula {
                     nTransformedNames++;
                     strippedFormula = strippedFormula.replace(realToken, transformedName);
 
-                    let finalValue = foundry.utils.getProperty(
+                    let finalValue = Formula.adapter.getProperty(
                         allValues,
-                        foundry.utils.getProperty(computedTokens, tokenString)
+                        Formula.adapter.getProperty(computedTokens, tokenString)
                     );
 
                     if (finalValue) {
-                        foundry.utils.setProperty(
+                        Formula.adapter.setProperty(
                             computedTokens,
-                            foundry.utils.getProperty(computedTokens, tokenString),
+                            Formula.adapter.getProperty(computedTokens, tokenString),
                             finalValue
                         );
 
-                        foundry.utils.setProperty(computedTokens, transformedName, finalValue);
+                        Formula.adapter.setProperty(computedTokens, transformedName, finalValue);
                     }
                 }
             }
-
-            token = tokens.next();
         }
 
         let mathTokens = { ...computedTokens, ...renamedTokens, ...textVars, ...allValues };
@@ -714,34 +996,35 @@ class Formula {
         let result;
         let explanation = [];
 
-        let onUndefinedSymbol = math.SymbolNode.onUndefinedSymbol;
         try {
-            math.SymbolNode.onUndefinedSymbol = (name) => {
-                if (defaultValue !== undefined) {
-                    return defaultValue;
-                } else {
-                    throw new UncomputableError('Uncomputable token ' + name, name, formula, props);
+            let { node, code, functionNames } = formulaCache.getExpression(strippedFormula);
+
+            let scope = new FormulaScope(mathTokens, formulaFunctions, {
+                functionNames,
+                onUndefinedSymbol: (name) => {
+                    if (defaultValue !== undefined) {
+                        return defaultValue;
+                    } else {
+                        throw new UncomputableError('Uncomputable token ' + name, name, formula, props);
+                    }
                 }
-            };
+            });
 
-            let node = math.parse(strippedFormula);
-            result = node.evaluate(mathTokens);
+            result = code.evaluate(scope);
 
             if (computeExplanation) {
-                explanation = this.getSymbolsInOrder(node, { children: [] }, mathTokens);
+                explanation = this.getSymbolsInOrder(node, { children: [] }, scope);
                 console.debug({ name: strippedFormula, children: [this.getSymbolTree(node)] });
                 console.debug({ name: strippedFormula, listInOrder: explanation });
             }
         } catch (err) {
-            if (err instanceof UncomputableError) {
+            // Missing tokens are reported to the user instead of being computed as an error
+            if (err instanceof UncomputableError || err instanceof DistanceMeasurementError) {
                 throw err;
             } else {
                 result = 'ERROR';
                 console.error(err);
             }
-        } finally {
-            // Reset onUndefinedSymbol
-            math.SymbolNode.onUndefinedSymbol = onUndefinedSymbol;
         }
 
         if (localVarName) {
@@ -760,13 +1043,14 @@ class Formula {
     }
 
     /**
-     * Evaluates a roll expression through Foundry VTT Roll API
+     * Evaluates a roll expression through the formula adapter, Foundry VTT Roll API by default
      * @param {string} rollText The FoundryVTT roll expression
      * @param {Object} props Token attributes to replace inside the formula
      * @param {Object} options Computation options for replaceable variables in the roll expression
+     * @param {string} [diceModifier=''] Modifier added to every dice of the roll, like r1 to reroll ones
      * @returns {Roll}
      */
-    async evaluateRoll(rollText, props, options) {
+    async evaluateRoll(rollText, props, options, diceModifier = '') {
         const computeRollPhrase = async (text) => {
             // Roll can contain parameters delimited by colons (:)
             let textParamMatcher = text.matchAll(/:(.*?):/g);
@@ -787,10 +1071,19 @@ class Formula {
         };
 
         let isRollTable = false;
+        let isGrantingItems = false;
         let selectValue = null;
         if (rollText.startsWith('#')) {
             isRollTable = true;
-            let separatedRoll = rollText.substring(1).split('|', 2);
+            rollText = rollText.substring(1);
+
+            // Tables prefixed with + give the drawn items to the rolling actor
+            if (rollText.startsWith('+')) {
+                isGrantingItems = true;
+                rollText = rollText.substring(1);
+            }
+
+            let separatedRoll = rollText.split('|', 2);
             rollText = separatedRoll[0];
             selectValue = separatedRoll[1] ?? null;
         }
@@ -798,33 +1091,49 @@ class Formula {
         let finalRollText = await computeRollPhrase(rollText);
 
         if (isRollTable) {
-            let rollTable = game.tables.filter((e) => e.name === finalRollText.result)[0];
-            if (selectValue) {
-                let finalSelectValue = await computeRollPhrase(selectValue);
+            let rollExpression = selectValue ? (await computeRollPhrase(selectValue)).result : null;
 
-                let roll = new Roll(finalSelectValue.result);
-                await roll.evaluate({ async: true });
+            let draw = await Formula.adapter.drawTable(
+                finalRollText.result.trim(),
+                rollExpression,
+                options.diceSource ?? null
+            );
 
-                return await rollTable.draw({ displayChat: false, roll });
-            } else {
-                return await rollTable.draw({ displayChat: false });
+            let items = (draw.documents ?? []).filter((document) => document?.documentName === 'Item');
+            if (isGrantingItems && options.grantItems !== false && items.length > 0) {
+                let actor = options.actor ?? options.parentActor;
+                if (!actor) {
+                    throw new Error('Items drawn from ' + finalRollText.result + ' can not be given without an actor');
+                }
+
+                await Formula.adapter.grantItems(actor, items);
             }
+
+            return draw;
         } else {
             // Roll evaluation
-            let roll = new Roll(finalRollText.result);
-            await roll.evaluate({ async: true });
+            let roll = await Formula.adapter.evaluateRoll(
+                finalRollText.result,
+                diceModifier,
+                options.diceSource ?? null
+            );
 
             return { roll };
         }
     }
 
-    getSymbolsInOrder(rootNode, currentSymbol, mathTokens) {
-        if (rootNode.type === 'SymbolNode' && !math[rootNode.name] && !rootNode.name.startsWith('_')) {
+    getSymbolsInOrder(rootNode, currentSymbol, scope) {
+        if (
+            rootNode.type === 'SymbolNode' &&
+            !math[rootNode.name] &&
+            !scope.hasFunction(rootNode.name) &&
+            !rootNode.name.startsWith('_')
+        ) {
             currentSymbol = {
                 display: rootNode.name,
                 handle: rootNode.name,
                 children: [],
-                value: rootNode.evaluate(mathTokens)
+                value: rootNode.evaluate(scope)
             };
         } else if (
             rootNode.type === 'FunctionNode' &&
@@ -857,12 +1166,12 @@ class Formula {
                 handle: rootNode.toString(),
                 display: functionHandle,
                 children: [],
-                value: rootNode.evaluate(mathTokens)
+                value: rootNode.evaluate(scope)
             };
         }
 
         rootNode.forEach((node, path, parent) => {
-            let subSymbol = this.getSymbolsInOrder(node, currentSymbol, mathTokens);
+            let subSymbol = this.getSymbolsInOrder(node, currentSymbol, scope);
 
             if (subSymbol.display !== currentSymbol.display) {
                 if (!currentSymbol.children.some((e) => e.display === subSymbol.display)) {
@@ -893,6 +1202,220 @@ class Formula {
     }
 }
 
+/**
+ * Dice pool functions, with the function building the Foundry VTT modifier added to their dice.
+ * Modifier functions receive the computed arguments following the pool.
+ * @type {Object<function(...*): string>}
+ * @ignore
+ */
+const DICE_POOL_MODIFIERS = {
+    dicePool: () => '',
+    successes: () => '',
+    criticals: () => '',
+    rerollOnes: () => 'r1',
+    rerollFailures: (target) => 'r<' + target
+};
+
+/**
+ * Reads the arguments of a function call, taking nested calls, rolls and quoted texts into account
+ * @param {string} formula The formula holding the function call
+ * @param {number} start The index following the opening parenthesis of the call
+ * @returns {Array<string>} The raw arguments texts
+ * @ignore
+ */
+const readFunctionArguments = (formula, start) => {
+    let args = [];
+    let depth = 0;
+    let quote = null;
+    let argStart = start;
+
+    for (let i = start; i < formula.length; i++) {
+        let char = formula.charAt(i);
+
+        if (quote) {
+            if (char === quote && formula.charAt(i - 1) !== '\\') {
+                quote = null;
+            }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (depth > 0 && ')]}'.includes(char)) {
+            depth--;
+        } else if (char === ',' || char === ')') {
+            args.push(formula.substring(argStart, i));
+            argStart = i + 1;
+
+            if (char === ')') {
+                break;
+            }
+        }
+    }
+
+    return args;
+};
+
+/**
+ * Gets the options of a select user input, from a list of formulas or from a dynamic table column, like table.column
+ * @param {Array<string>} params The select parameters
+ * @param {Object} props Token attributes to replace inside the formulas
+ * @param {Object} options Computation options
+ * @returns {Promise<Array<*>>}
+ * @ignore
+ */
+const getUserInputOptions = async (params, props, options) => {
+    let [dynamicTableKey, targetColumn] = params[0]?.split('.') ?? [];
+    let dynamicTableProps = Formula.adapter.getProperty(props, dynamicTableKey);
+
+    if (params.length === 1 && targetColumn && dynamicTableProps && typeof dynamicTableProps === 'object') {
+        return Object.values(dynamicTableProps)
+            .filter((row) => !row.deleted && row[targetColumn] !== undefined)
+            .map((row) => row[targetColumn]);
+    }
+
+    let selectOptions = [];
+    for (let param of params.filter((param) => param !== '')) {
+        selectOptions.push((await new Formula(param).compute(props, options)).result);
+    }
+
+    return selectOptions;
+};
+
+/**
+ * Parses and validates the value entered in a user input
+ * @param {{name: string, type: string, min: *, max: *, options: Array<*>}} userVar The user input definition
+ * @param {*} value The entered value, a boolean for checkboxes
+ * @returns {*} The parsed value
+ * @throws {Error} If the value does not match the user input definition
+ * @ignore
+ */
+const parseUserInputValue = (userVar, value) => {
+    switch (userVar.type) {
+        case 'checkbox':
+            return value === true || value === 'true';
+        case 'number':
+            if (String(value).trim() === '' || Number.isNaN(Number(value))) {
+                throw new Error(userVar.name + ' must be a number');
+            }
+
+            value = Number(value);
+            if (userVar.min !== null && value < Number(userVar.min)) {
+                throw new Error(userVar.name + ' must be greater than or equal to ' + userVar.min);
+            }
+
+            if (userVar.max !== null && value > Number(userVar.max)) {
+                throw new Error(userVar.name + ' must be less than or equal to ' + userVar.max);
+            }
+
+            return value;
+        case 'select':
+            if (!userVar.options.some((option) => String(option) === String(value))) {
+                throw new Error(userVar.name + ' must be one of ' + userVar.options.join(', '));
+            }
+
+            // Options keep their original type, so that numbers can be used in computations
+            return userVar.options.find((option) => String(option) === String(value));
+        default:
+            return value;
+    }
+};
+
+/**
+ * Gets the roll formula displayed in the chat message, with the final roll expression if it differs from the written one
+ * @param {string} rollString The roll as written in the formula, enclosed in brackets
+ * @param {Roll} roll The evaluated roll
+ * @returns {string}
+ * @ignore
+ */
+const getRollFormula = (rollString, roll) => {
+    return rollString === '[' + roll.formula + ']' ? rollString : rollString + ' → [' + roll.formula + ']';
+};
+
+/**
+ * Gets the dice results of a dice pool
+ * @param {Array<number>|Matrix|number} pool The dice pool, as computed by the pool functions
+ * @returns {Array<number>}
+ * @ignore
+ */
+const getDiceResults = (pool) => {
+    return (pool?.toArray?.() ?? [pool]).flat().map(Number);
+};
+
+/**
+ * Counts the dice of a dice pool with a result greater than or equal to a target
+ * @param {Array<number>|Matrix|number} pool The dice pool
+ * @param {number} target The minimum result of counted dice
+ * @returns {number}
+ * @ignore
+ */
+const countDiceAtLeast = (pool, target) => {
+    return getDiceResults(pool).filter((result) => result >= Number(target)).length;
+};
+
+/**
+ * Builds the data of a roll table draw available to later formulas. The first drawn result is also available at the root.
+ * @param {{results: Array<{getChatText: function(): string}>, documents: Array<Object|null>}} draw The roll table draw
+ * @returns {{text: string, name: string, uuid: string|null, type: string|null, props: Object, results: Array<Object>}}
+ * @ignore
+ */
+const getDrawData = (draw) => {
+    let results = draw.results.map((result, idx) => {
+        let document = draw.documents?.[idx] ?? null;
+        let text = result.getChatText();
+
+        return {
+            text,
+            name: document?.name ?? text,
+            uuid: document?.uuid ?? null,
+            type: document?.documentName ?? null,
+            props: document?.system?.props ?? {}
+        };
+    });
+
+    return {
+        ...(results[0] ?? {}),
+        text: results.map((result) => result.text).join(', '),
+        results
+    };
+};
+
+/**
+ * Extracts the formula data which only depends on the formula text : local variable name, text variables and legacy tokens
+ * @param {string} formula
+ * @param {Object} [textVars={}] Text variables already extracted from the formula
+ * @returns {{localVarName: string|null, formula: string, textVars: Object, strippedFormula: string, legacyTokens: Array<string>}}
+ * @ignore
+ */
+const extractFormulaData = (formula, textVars = {}) => {
+    // Detecting local variable to set
+    let localVarName = null;
+    let localVarDecomposed = formula.match(/^([a-zA-Z0-9_-]+):=(.*)$/);
+
+    if (localVarDecomposed) {
+        localVarName = localVarDecomposed[1];
+        formula = localVarDecomposed[2];
+    }
+
+    // If text-vars exist, they have already been handled ; no need to do it again
+    let textVarResult = handleTextVars(formula, { ...textVars });
+
+    // Stripping formula from remaining spaces to have a consistent parsable string
+    let strippedFormula = textVarResult.formula.trim();
+
+    // Only legacy tokens need replacing before parsing, other symbols are fetched from the scope by mathjs
+    let legacyTokens = [...strippedFormula.matchAll(/@?\$?[A-Za-z0-9_.]+(((\(.*?\))?\$)?[A-Za-z0-9_]+)?/g)]
+        .map((token) => token[0])
+        .filter((token) => token.includes('@') || token.includes('$'));
+
+    return {
+        localVarName,
+        formula: textVarResult.formula,
+        textVars: textVarResult.textVars,
+        strippedFormula,
+        legacyTokens
+    };
+};
+
 /**
  * Handles text variables by extracting them and replacing them with tokens
  * @param formula
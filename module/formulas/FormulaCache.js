@@ -0,0 +1,149 @@
+/**
+ * Cache holding the parts of formula computation which only depend on the formula text.
+ * This is a singleton object exported globally
+ */
+class FormulaCache {
+    /**
+     * Maximum number of entries kept in each cache, least recently used entries are removed first
+     * @type {number}
+     * @private
+     */
+    _maxSize;
+
+    /**
+     * Formula data extracted from formula texts, by formula text
+     * @type {Map<string, Object>}
+     * @private
+     */
+    _formulaData = new Map();
+
+    /**
+     * Parsed and compiled mathjs expressions, by expression
+     * @type {Map<string, {node: Node, code: EvalFunction, functionNames: Set<string>}>}
+     * @private
+     */
+    _expressions = new Map();
+
+    /**
+     * Hit and miss counters of both caches
+     * @type {{formulaData: {hits: number, misses: number}, expressions: {hits: number, misses: number}}}
+     * @private
+     */
+    _stats;
+
+    /**
+     * Constructs a new cache
+     * @param {number} [maxSize=2000] Maximum number of entries kept in each cache
+     */
+    constructor(maxSize = 2000) {
+        this._maxSize = maxSize;
+        this.resetStats();
+    }
+
+    /**
+     * Hit and miss counters of the cache, with current sizes and hit rates
+     * @return {{formulaData: {hits: number, misses: number, size: number, hitRate: number}, expressions: {hits: number, misses: number, size: number, hitRate: number}}}
+     */
+    get stats() {
+        const describe = (counters, cache) => {
+            let total = counters.hits + counters.misses;
+
+            return {
+                ...counters,
+                size: cache.size,
+                hitRate: total > 0 ? counters.hits / total : 0
+            };
+        };
+
+        return {
+            formulaData: describe(this._stats.formulaData, this._formulaData),
+            expressions: describe(this._stats.expressions, this._expressions)
+        };
+    }
+
+    /**
+     * Gets the data extracted from a formula text, building it on cache miss
+     * @param {string} formula The formula text
+     * @param {function(string): Object} builder Function extracting the data from the formula text
+     * @return {Object} The formula data. It is shared between computations and must not be modified.
+     */
+    getFormulaData(formula, builder) {
+        return this._fetch(this._formulaData, this._stats.formulaData, formula, () => builder(formula));
+    }
+
+    /**
+     * Gets the parsed and compiled version of a mathjs expression, parsing it on cache miss
+     * @param {string} expression The mathjs expression
+     * @return {{node: Node, code: EvalFunction, functionNames: Set<string>}} The parsed node, its compiled version and the names called as functions
+     * @throws {Error} If the expression can not be parsed
+     */
+    getExpression(expression) {
+        return this._fetch(this._expressions, this._stats.expressions, expression, () => {
+            let node = math.parse(expression);
+            let functionNames = new Set(
+                node
+                    .filter((subNode) => subNode.isFunctionNode && subNode.fn.isSymbolNode)
+                    .map((subNode) => subNode.fn.name)
+            );
+
+            return { node, code: node.compile(), functionNames };
+        });
+    }
+
+    /**
+     * Empties the cache
+     */
+    clear() {
+        this._formulaData.clear();
+        this._expressions.clear();
+    }
+
+    /**
+     * Resets the hit and miss counters
+     */
+    resetStats() {
+        this._stats = {
+            formulaData: { hits: 0, misses: 0 },
+            expressions: { hits: 0, misses: 0 }
+        };
+    }
+
+    /**
+     * Fetches a value from one of the caches, building and storing it on cache miss
+     * @param {Map<string, *>} cache The cache to fetch from
+     * @param {{hits: number, misses: number}} counters The counters of this cache
+     * @param {string} key The cache key
+     * @param {function(): *} builder Function building the value on cache miss
+     * @return {*}
+     * @private
+     */
+    _fetch(cache, counters, key, builder) {
+        if (cache.has(key)) {
+            counters.hits++;
+
+            // Moving the entry to the end of the map to keep it as the most recently used
+            let value = cache.get(key);
+            cache.delete(key);
+            cache.set(key, value);
+
+            return value;
+        }
+
+        counters.misses++;
+
+        let value = builder();
+        cache.set(key, value);
+
+        if (cache.size > this._maxSize) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        return value;
+    }
+}
+
+const formulaCache = new FormulaCache();
+
+globalThis.formulaCache = formulaCache;
+
+export default formulaCache;
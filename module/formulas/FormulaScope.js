@@ -0,0 +1,122 @@
+/**
+ * Scope used by mathjs to evaluate one formula.
+ * Each evaluation holds its own values and functions, so that several formulas can be evaluated at the same time
+ * without sharing the global math instance.
+ */
+class FormulaScope {
+    /**
+     * Names mathjs refuses to find in a scope
+     * @type {Set<string>}
+     */
+    static RESERVED_NAMES = new Set(['end']);
+
+    /**
+     * Values available in the formula, by name
+     * @type {Object}
+     * @private
+     */
+    _values;
+
+    /**
+     * Custom functions available in the formula, by name
+     * @type {Object<Function>}
+     * @private
+     */
+    _functions;
+
+    /**
+     * Names called as functions in the formula
+     * @type {Set<string>}
+     * @private
+     */
+    _functionNames;
+
+    /**
+     * Function called to resolve symbols which are not in the scope nor in the math instance
+     * @type {function(string): *}
+     * @private
+     */
+    _onUndefinedSymbol;
+
+    /**
+     * Constructs a new scope
+     * @param {Object} values Values available in the formula, by name
+     * @param {Object<Function>} functions Custom functions available in the formula, by name
+     * @param {Object} [options={}]
+     * @param {Set<string>} [options.functionNames=new Set()] Names called as functions in the formula. If they are not defined, they are left to mathjs to resolve.
+     * @param {function(string): *} [options.onUndefinedSymbol] Function resolving unknown symbols. Throws an error by default.
+     */
+    constructor(values, functions, options = {}) {
+        let {
+            functionNames = new Set(),
+            onUndefinedSymbol = (name) => {
+                throw new Error('Undefined symbol ' + name);
+            }
+        } = options;
+
+        this._values = { ...values };
+        this._functions = functions;
+        this._functionNames = functionNames;
+        this._onUndefinedSymbol = onUndefinedSymbol;
+    }
+
+    /**
+     * Indicates if the scope resolves a name. Every unknown symbol is resolved by the scope, to handle default values.
+     * @param {string} name
+     * @return {boolean}
+     */
+    has(name) {
+        if (Object.hasOwn(this._functions, name) || Object.hasOwn(this._values, name)) {
+            return true;
+        }
+
+        return !(name in math || this._functionNames.has(name) || FormulaScope.RESERVED_NAMES.has(name));
+    }
+
+    /**
+     * Indicates if a name is one of the scope's custom functions
+     * @param {string} name
+     * @return {boolean}
+     */
+    hasFunction(name) {
+        return Object.hasOwn(this._functions, name);
+    }
+
+    /**
+     * Gets a value or a function from the scope
+     * @param {string} name
+     * @return {*}
+     */
+    get(name) {
+        if (Object.hasOwn(this._functions, name)) {
+            return this._functions[name];
+        }
+
+        if (Object.hasOwn(this._values, name)) {
+            return this._values[name];
+        }
+
+        return this._onUndefinedSymbol(name);
+    }
+
+    /**
+     * Sets a value in the scope, used by assignments in formulas
+     * @param {string} name
+     * @param {*} value
+     * @return {FormulaScope}
+     */
+    set(name, value) {
+        this._values[name] = value;
+        return this;
+    }
+
+    /**
+     * Lists every name defined in the scope
+     * @return {Iterator<string>}
+     */
+    keys() {
+        return new Set([...Object.keys(this._values), ...Object.keys(this._functions)]).values();
+    }
+}
+
+export default FormulaScope;
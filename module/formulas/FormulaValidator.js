@@ -0,0 +1,311 @@
+import Formula from './Formula.js';
+
+/**
+ * Checks phrases and formulas for mistakes before they are computed
+ */
+class FormulaValidator {
+    /**
+     * Keys available in the template. If empty, keys are not checked.
+     * @type {Set<string>}
+     * @private
+     */
+    _availableKeys;
+
+    /**
+     * Indicates if the checked formulas belong to a dynamic table row
+     * @type {boolean}
+     * @private
+     */
+    _isDynamicTable;
+
+    /**
+     * Constructs a new validator
+     * @param {Object} [options={}]
+     * @param {Iterable<string>} [options.availableKeys=[]] Keys available in the template. If empty, keys are not checked.
+     * @param {boolean} [options.isDynamicTable=false] Indicates if the checked formulas belong to a dynamic table row
+     */
+    constructor({ availableKeys = [], isDynamicTable = false } = {}) {
+        this._availableKeys = new Set();
+        this._isDynamicTable = isDynamicTable;
+
+        // Dynamic table columns can be referenced without their table key
+        for (let key of availableKeys) {
+            this._availableKeys.add(key);
+            this._availableKeys.add(key.split('.').pop());
+        }
+    }
+
+    /**
+     * Checks a phrase, holding formulas enclosed in ${ and }$
+     * @param {string} phrase The phrase to check
+     * @return {Array<{severity: string, message: string}>} The issues found, with severity 'error' or 'warning'
+     */
+    validatePhrase(phrase) {
+        let issues = [];
+        let localVars = new Set();
+
+        let depth = 0;
+        for (let [delimiter] of String(phrase ?? '').matchAll(/\${|}\$/g)) {
+            if (delimiter === '${') {
+                depth++;
+                if (depth > 1) {
+                    issues.push(error('${ opened inside another formula. Formulas can not be nested.'));
+                }
+            } else {
+                depth--;
+                if (depth < 0) {
+                    issues.push(error('}$ found without a matching ${'));
+                    depth = 0;
+                }
+            }
+        }
+
+        if (depth > 0) {
+            issues.push(error('${ is never closed by a matching }$'));
+        }
+
+        for (let [, formula] of String(phrase ?? '').matchAll(/\${(.*?)}\$/gs)) {
+            issues.push(...this._validateFormula(formula, localVars));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks a single formula, not enclosed in ${ and }$
+     * @param {string} formula The formula to check
+     * @return {Array<{severity: string, message: string}>} The issues found, with severity 'error' or 'warning'
+     */
+    validateFormula(formula) {
+        if (!formula?.trim()) {
+            return [];
+        }
+
+        return this._validateFormula(formula, new Set());
+    }
+
+    /**
+     * Checks a single formula, registering the local variables it defines
+     * @param {string} formula The formula to check
+     * @param {Set<string>} localVars Local variables defined by previous formulas of the phrase
+     * @return {Array<{severity: string, message: string}>}
+     * @private
+     */
+    _validateFormula(formula, localVars) {
+        let issues = [];
+
+        formula = formula.trim().replace(/^[#!]+/, '');
+
+        let localVarDecomposed = formula.match(/^([a-zA-Z0-9_-]+):=(.*)$/s);
+        let localVarName = null;
+        if (localVarDecomposed) {
+            localVarName = localVarDecomposed[1];
+            formula = localVarDecomposed[2];
+        }
+
+        let delimiterIssue = checkDelimiters(formula);
+        if (delimiterIssue) {
+            issues.push(delimiterIssue);
+            return issues;
+        }
+
+        // User inputs define local variables, and their default values and parameters are formulas
+        for (let [userInput, userInputData] of formula.matchAll(/\?{(.*?)}/g)) {
+            let [userInputDeclaration, userInputDefault] = userInputData.split('|', 2);
+            let { name: userInputName, type, params } = Formula.parseUserInputDeclaration(userInputDeclaration);
+
+            if (userInputDefault) {
+                issues.push(...this._validateFormula(userInputDefault, localVars));
+            }
+
+            if (type === 'number' && params.length > 2) {
+                issues.push(error('number() user inputs only take a min and a max value'));
+            }
+
+            // A single select parameter like table.column lists the column values
+            let isColumnSelect =
+                type === 'select' && params.length === 1 && /^[A-Za-z0-9_]+\.[A-Za-z0-9_]+$/.test(params[0]);
+            for (let param of params.filter((param) => param !== '')) {
+                issues.push(
+                    ...(isColumnSelect
+                        ? this._validateKey(param.split('.')[0])
+                        : this._validateFormula(param, localVars))
+                );
+            }
+
+            localVars.add(userInputName);
+            formula = formula.replace(userInput, () => userInputName);
+        }
+
+        // Rolls are replaced by their total, and their parameters are formulas
+        for (let [roll, rollText] of formula.matchAll(/\[(.+?)]/g)) {
+            for (let [, rollParam] of rollText.matchAll(/:(.*?):/g)) {
+                issues.push(...this._validateFormula(rollParam, localVars));
+            }
+
+            // Roll table draws are available to later formulas
+            if (rollText.startsWith('#')) {
+                localVars.add('lastDraw');
+            }
+
+            formula = formula.replace(roll, '0');
+        }
+
+        let legacyTokens = [...formula.matchAll(/@?\$?[A-Za-z0-9_.]+(((\(.*?\))?\$)?[A-Za-z0-9_]+)?/g)]
+            .map((token) => token[0])
+            .filter((token) => token.includes('@') || token.includes('$'));
+
+        for (let legacyToken of legacyTokens) {
+            issues.push(
+                warning(
+                    'Legacy syntax ' +
+                        legacyToken +
+                        ' is deprecated. Use ref(), sameRow() or fetchFromDynamicTable() instead.'
+                )
+            );
+            formula = formula.replace(legacyToken, '0');
+        }
+
+        let node;
+        try {
+            node = math.parse(formula.replaceAll(/(?<!\\)'(.*?)(?<!\\)'/g, (text, content) => JSON.stringify(content)));
+        } catch (err) {
+            issues.push(error('Syntax error : ' + err.message));
+            return issues;
+        }
+
+        let functionSymbols = new Set();
+        node.traverse((subNode) => {
+            if (subNode.isFunctionNode && subNode.fn.isSymbolNode) {
+                functionSymbols.add(subNode.fn);
+                issues.push(...this._validateFunctionCall(subNode, localVars));
+            }
+        });
+
+        node.traverse((subNode) => {
+            if (
+                subNode.isSymbolNode &&
+                !functionSymbols.has(subNode) &&
+                !(subNode.name in math) &&
+                !localVars.has(subNode.name) &&
+                !subNode.name.startsWith('_')
+            ) {
+                issues.push(...this._validateKey(subNode.name));
+            }
+        });
+
+        if (localVarName) {
+            localVars.add(localVarName);
+        }
+
+        return issues;
+    }
+
+    /**
+     * Checks a function call : the function must exist, and its literal key arguments must be available
+     * @param {FunctionNode} functionNode The function call
+     * @param {Set<string>} localVars Local variables defined by previous formulas of the phrase
+     * @return {Array<{severity: string, message: string}>}
+     * @private
+     */
+    _validateFunctionCall(functionNode, localVars) {
+        let name = functionNode.fn.name;
+
+        if (!Formula.CUSTOM_FUNCTIONS.includes(name) && !(name in math)) {
+            return [error('Unknown function ' + name + '()')];
+        }
+
+        let stringArgs = functionNode.args.map((arg) =>
+            arg.isConstantNode && typeof arg.value === 'string' ? arg.value : null
+        );
+
+        switch (name) {
+            case 'ref':
+                return stringArgs[0] && !localVars.has(stringArgs[0].split('.')[0])
+                    ? this._validateKey(stringArgs[0].split('.')[0])
+                    : [];
+            case 'sameRow':
+                if (!this._isDynamicTable) {
+                    return [error('sameRow() can only be used in a dynamic table')];
+                }
+
+                return stringArgs[0] ? this._validateKey(stringArgs[0]) : [];
+            case 'fetchFromDynamicTable':
+                return [stringArgs[0], stringArgs[1], stringArgs[2]]
+                    .filter((key) => key)
+                    .flatMap((key) => this._validateKey(key.split('.')[0]));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Checks that a key is available in the template
+     * @param {string} key
+     * @return {Array<{severity: string, message: string}>}
+     * @private
+     */
+    _validateKey(key) {
+        if (this._availableKeys.size === 0 || this._availableKeys.has(key)) {
+            return [];
+        }
+
+        return [warning('Unknown key ' + key + '. It is not defined in the template.')];
+    }
+}
+
+/**
+ * Checks that [ ] and ?{ } are balanced in a formula, ignoring quoted texts
+ * @param {string} formula
+ * @return {{severity: string, message: string}|null} The issue found, if any
+ * @ignore
+ */
+const checkDelimiters = (formula) => {
+    let unquotedFormula = formula.replaceAll(/(?<!\\)'.*?(?<!\\)'/g, '').replaceAll(/".*?"/g, '');
+    let openedDelimiters = [];
+
+    for (let [delimiter] of unquotedFormula.matchAll(/\?{|[[\]{}]/g)) {
+        switch (delimiter) {
+            case '[':
+            case '?{':
+            case '{':
+                openedDelimiters.push(delimiter);
+                break;
+            case ']':
+                if (openedDelimiters.pop() !== '[') {
+                    return error('] found without a matching [');
+                }
+                break;
+            case '}':
+                if (!['?{', '{'].includes(openedDelimiters.pop())) {
+                    return error('} found without a matching ?{');
+                }
+                break;
+        }
+    }
+
+    if (openedDelimiters.length > 0) {
+        let lastOpened = openedDelimiters.pop();
+        return error(lastOpened + ' is never closed by a matching ' + (lastOpened === '[' ? ']' : '}'));
+    }
+
+    return null;
+};
+
+/**
+ * Builds an error issue
+ * @param {string} message
+ * @return {{severity: string, message: string}}
+ * @ignore
+ */
+const error = (message) => ({ severity: 'error', message });
+
+/**
+ * Builds a warning issue
+ * @param {string} message
+ * @return {{severity: string, message: string}}
+ * @ignore
+ */
+const warning = (message) => ({ severity: 'warning', message });
+
+export default FormulaValidator;
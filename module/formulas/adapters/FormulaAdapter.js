@@ -0,0 +1,121 @@
+/**
+ * Interface between the formula engine and its environment.
+ * Formulas only access property paths, dice, roll tables, user inputs and other documents through an adapter,
+ * so that they can be computed inside Foundry VTT as well as in a headless environment.
+ * @abstract
+ */
+class FormulaAdapter {
+    /**
+     * Gets a value in an object from its dotted path
+     * @param {Object} object
+     * @param {string} key The dotted path, like dynamicTable.row.column
+     * @return {*}
+     */
+    getProperty(object, key) {
+        throw new Error('getProperty is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Sets a value in an object from its dotted path, creating intermediary objects if needed
+     * @param {Object} object
+     * @param {string} key The dotted path, like dynamicTable.row.column
+     * @param {*} value
+     */
+    setProperty(object, key, value) {
+        throw new Error('setProperty is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Evaluates a dice expression
+     * @param {string} expression The dice expression, like 2d6 + 3
+     * @param {string} [diceModifier=''] Modifier added to every dice of the expression, like r1 to reroll ones
+     * @param {DiceSource|null} [diceSource=null] Deterministic source of the dice results. If null, dice are random.
+     * @return {Promise<{formula: string, total: number, dice: Array<{results: Array<{result: number, active: boolean}>}>, toJSON: function(): Object}>} The evaluated roll
+     */
+    async evaluateRoll(expression, diceModifier = '', diceSource = null) {
+        throw new Error('evaluateRoll is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Draws a result from a roll table
+     * @param {string} tableReference The roll table name, id or UUID
+     * @param {string|null} [rollExpression=null] The dice expression used to draw the result. If null, the table's formula is used.
+     * @param {DiceSource|null} [diceSource=null] Deterministic source of the dice results. If null, dice are random.
+     * @return {Promise<{results: Array<{getChatText: function(): string}>, documents: Array<Object|null>}>} The draw results, and the document each result points to, or null
+     * @throws {Error} If the roll table is not found
+     */
+    async drawTable(tableReference, rollExpression = null, diceSource = null) {
+        throw new Error('drawTable is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Gives copies of items to an actor
+     * @param {Object} actor The actor receiving the items
+     * @param {Array<Object>} items The items to copy
+     * @return {Promise<void>}
+     */
+    async grantItems(actor, items) {
+        throw new Error('grantItems is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Creates the dice source used by a phrase computation when none is given
+     * @return {DiceSource|null} The dice source, or null to use random dice
+     */
+    createDiceSource() {
+        return null;
+    }
+
+    /**
+     * Asks the user for the values of user inputs
+     * @param {Array<Object>} userVars The user inputs definitions
+     * @param {function(Object, *): *} parseValue Parses and validates an entered value, throwing an Error if it is invalid
+     * @return {Promise<Object|null>} The values by user input name, or null if the user cancelled
+     */
+    async promptUserInputs(userVars, parseValue) {
+        throw new Error('promptUserInputs is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Finds the actors matching a reference, like selected, targets, an UUID or a name
+     * @param {string} reference The actor reference
+     * @return {Array<{system: {props: Object}}>} The matching actors, never empty
+     * @throws {ActorReferenceError} If no actor matches the reference, or if it is ambiguous
+     */
+    resolveActorReferences(reference) {
+        throw new Error('resolveActorReferences is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Measures the distances between the token of an actor and the tokens matching a reference, in scene units
+     * @param {Object|null} actor The actor measuring the distance
+     * @param {string} targetReference The reference of the measured tokens, like target, targets or a token id
+     * @return {Array<number>} The distance to each matching token, never empty
+     * @throws {DistanceMeasurementError} If the actor has no token, or if no token matches the reference
+     */
+    measureDistances(actor, targetReference) {
+        throw new Error('measureDistances is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Measures how much of the tokens matching a reference the token of an actor can see, through the scene walls
+     * @param {Object|null} actor The actor looking at the tokens
+     * @param {string} targetReference The reference of the looked at tokens, like target, targets or a token id
+     * @return {Array<number>} The visible ratio of each matching token, between 0 and 1, never empty
+     * @throws {DistanceMeasurementError} If the actor has no token, or if no token matches the reference
+     */
+    measureVisibility(actor, targetReference) {
+        throw new Error('measureVisibility is not implemented by ' + this.constructor.name);
+    }
+
+    /**
+     * Gets the name of an item template
+     * @param {string} templateId The template id
+     * @return {string|null}
+     */
+    getItemTemplateName(templateId) {
+        throw new Error('getItemTemplateName is not implemented by ' + this.constructor.name);
+    }
+}
+
+export default FormulaAdapter;
@@ -0,0 +1,220 @@
+import FormulaAdapter from './FormulaAdapter.js';
+import DiceSource from '../DiceSource.js';
+import { getActorToken, measureTokenDistance, resolveTokens } from '../../canvas.js';
+import { getVisibilityRatio } from '../../visibility.js';
+
+/**
+ * Adapter computing formulas inside Foundry VTT, with its dice, roll tables, dialogs and documents
+ */
+class FoundryAdapter extends FormulaAdapter {
+    /**
+     * @override
+     */
+    getProperty(object, key) {
+        return foundry.utils.getProperty(object, key);
+    }
+
+    /**
+     * @override
+     */
+    setProperty(object, key, value) {
+        foundry.utils.setProperty(object, key, value);
+    }
+
+    /**
+     * @override
+     */
+    async evaluateRoll(expression, diceModifier = '', diceSource = null) {
+        let roll = new Roll(expression);
+        for (let die of roll.dice) {
+            if (diceModifier) {
+                die.modifiers.push(diceModifier);
+            }
+
+            if (diceSource) {
+                die.randomFace = () => diceSource.nextResult(die.faces);
+            }
+        }
+
+        // Deterministic dice can not be replaced by manually entered results
+        await roll.evaluate({ async: true, allowInteractive: !diceSource });
+
+        return roll;
+    }
+
+    /**
+     * @override
+     */
+    async drawTable(tableReference, rollExpression = null, diceSource = null) {
+        let rollTable = await this._findRollTable(tableReference);
+
+        if (!rollTable) {
+            throw new Error('Roll table ' + tableReference + ' not found');
+        }
+
+        let draw;
+        if (rollExpression || diceSource) {
+            let roll = await this.evaluateRoll(rollExpression ?? rollTable.formula, '', diceSource);
+
+            draw = await rollTable.draw({ displayChat: false, roll });
+        } else {
+            draw = await rollTable.draw({ displayChat: false });
+        }
+
+        let documents = [];
+        for (let result of draw.results) {
+            documents.push(await this._getResultDocument(result));
+        }
+
+        return { ...draw, documents };
+    }
+
+    /**
+     * @override
+     */
+    async grantItems(actor, items) {
+        await actor.createEmbeddedDocuments(
+            'Item',
+            items.map((item) => item.toObject())
+        );
+    }
+
+    /**
+     * Finds a roll table by UUID, by name or id in a compendium with Compendium.<pack>.<name>, or by name or id in the world
+     * @param {string} tableReference
+     * @return {Promise<RollTable|null>}
+     * @private
+     */
+    async _findRollTable(tableReference) {
+        if (tableReference.startsWith('RollTable.') || tableReference.startsWith('Compendium.')) {
+            let rollTable = await fromUuid(tableReference).catch(() => null);
+            if (rollTable) {
+                return rollTable;
+            }
+        }
+
+        if (tableReference.startsWith('Compendium.')) {
+            // Compendium ids are made of the package and the compendium names
+            let [, packageName, packName, ...tableNameParts] = tableReference.split('.');
+            let pack = game.packs.get(packageName + '.' + packName);
+            let tableName = tableNameParts.join('.').replace(/^RollTable\./, '');
+
+            let entry = pack?.index.find((entry) => entry.name === tableName || entry._id === tableName);
+
+            return entry ? await pack.getDocument(entry._id) : null;
+        }
+
+        return game.tables.getName(tableReference) ?? game.tables.get(tableReference) ?? null;
+    }
+
+    /**
+     * Gets the document a roll table result points to
+     * @param {TableResult} result
+     * @return {Promise<foundry.abstract.Document|null>} The document, or null if the result is a text
+     * @private
+     */
+    async _getResultDocument(result) {
+        let uuid = result.documentUuid;
+
+        // Older results point to their document with a collection and an id
+        if (!uuid && result.documentId) {
+            uuid = game.packs.has(result.documentCollection)
+                ? 'Compendium.' + result.documentCollection + '.' + result.documentId
+                : result.documentCollection + '.' + result.documentId;
+        }
+
+        return uuid ? await fromUuid(uuid).catch(() => null) : null;
+    }
+
+    /**
+     * Creates a dice source from the world settings : a fixed seed or scripted results for tests,
+     * or a new seed for each roll message so that it can be verified
+     * @override
+     */
+    createDiceSource() {
+        switch (game.settings.get('custom-system-builder', 'rollSeedMode')) {
+            case 'random':
+                return new DiceSource();
+            case 'fixed':
+                return new DiceSource({ seed: game.settings.get('custom-system-builder', 'rollSeed') });
+            case 'scripted':
+                return new DiceSource({
+                    scripted: DiceSource.parseScripted(game.settings.get('custom-system-builder', 'scriptedDice'))
+                });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @override
+     */
+    async promptUserInputs(userVars, parseValue) {
+        let content = await renderTemplate(
+            `systems/custom-system-builder/templates/_template/dialogs/user-input.html`,
+            { allUserVars: userVars }
+        );
+
+        // Closing the dialog resolves null, cancelling the computation. Any other error is thrown to the caller.
+        return await Dialog.prompt({
+            content: content,
+            callback: (html) => {
+                let values = {};
+                let inputs = $(html).find('.custom-system-user-input');
+
+                // Invalid values throw an error, keeping the dialog open
+                for (let elt of inputs) {
+                    let userVar = userVars.find((userVar) => userVar.name === String($(elt).data('var-name')));
+                    values[userVar.name] = parseValue(
+                        userVar,
+                        $(elt).is(':checkbox') ? $(elt).is(':checked') : $(elt).val()
+                    );
+                }
+
+                return values;
+            },
+            render: (html) => {
+                let firstInput = $(html).find('.custom-system-user-input')[0];
+                firstInput.focus();
+                firstInput.select?.();
+            },
+            rejectClose: false
+        });
+    }
+
+    /**
+     * @override
+     */
+    resolveActorReferences(reference) {
+        return CONFIG.Actor.documentClass.resolveReferences(reference);
+    }
+
+    /**
+     * Measures the distances on the current scene, with the system measurement rules
+     * @override
+     */
+    measureDistances(actor, targetReference) {
+        let token = getActorToken(actor);
+
+        return resolveTokens(targetReference).map((target) => measureTokenDistance(token, target));
+    }
+
+    /**
+     * Tests the line of sight against the walls of the current scene
+     * @override
+     */
+    measureVisibility(actor, targetReference) {
+        let token = getActorToken(actor);
+
+        return resolveTokens(targetReference).map((target) => getVisibilityRatio(token, target));
+    }
+
+    /**
+     * @override
+     */
+    getItemTemplateName(templateId) {
+        return game.items.get(templateId)?.name ?? null;
+    }
+}
+
+export default FoundryAdapter;
@@ -0,0 +1,312 @@
+import FormulaAdapter from './FormulaAdapter.js';
+import { ActorReferenceError, DistanceMeasurementError } from '../../errors/errors.js';
+import { createSeededRandom } from '../../utils.js';
+
+/**
+ * Adapter computing formulas without Foundry VTT, for example to check templates against sample props in Node.
+ * Dice are rolled with a seeded random number generator, and user inputs, actors and roll tables are given upfront.
+ */
+class HeadlessAdapter extends FormulaAdapter {
+    /**
+     * Random number generator used to roll dice
+     * @type {function(): number}
+     * @private
+     */
+    _random;
+
+    /**
+     * User input values, by user input name
+     * @type {Object}
+     * @private
+     */
+    _userInputs;
+
+    /**
+     * Actors available to actor references, by reference
+     * @type {Object<{system: {props: Object}}>}
+     * @private
+     */
+    _actors;
+
+    /**
+     * Item template names, by template id
+     * @type {Object<string>}
+     * @private
+     */
+    _templates;
+
+    /**
+     * Roll tables results, by table name
+     * @type {Object<Array<string|{text: string, document: Object}>>}
+     * @private
+     */
+    _tables;
+
+    /**
+     * Distances to tokens, by token reference
+     * @type {Object<number|Array<number>>}
+     * @private
+     */
+    _distances;
+
+    /**
+     * Visible ratios of tokens, by token reference
+     * @type {Object<number|Array<number>>}
+     * @private
+     */
+    _visibility;
+
+    /**
+     * Constructs a new headless adapter
+     * @param {Object} [options={}]
+     * @param {number|string} [options.seed=Date.now()] Seed of the dice random number generator
+     * @param {function(): number} [options.random] Dice random number generator, returning numbers between 0 and 1. Overrides the seed.
+     * @param {Object} [options.userInputs={}] User input values, by user input name. Missing inputs take their default value.
+     * @param {Object<Object>} [options.actors={}] Actors available to actor references, by reference. Actors are objects holding their props in system.props.
+     * @param {Object<string>} [options.templates={}] Item template names, by template id
+     * @param {Object<Array<string|{text: string, document: Object}>>} [options.tables={}] Roll tables results, by table name. The roll selects the result by its position. Results can point to a document, like an item.
+     * @param {Object<number|Array<number>>} [options.distances={}] Distances from the rolling actor to tokens, by token reference. References like targets take an array of distances.
+     * @param {Object<number|Array<number>>} [options.visibility={}] Visible ratios of tokens from the rolling actor, between 0 and 1, by token reference
+     */
+    constructor(options = {}) {
+        super();
+
+        let {
+            seed = Date.now(),
+            random,
+            userInputs = {},
+            actors = {},
+            templates = {},
+            tables = {},
+            distances = {},
+            visibility = {}
+        } = options;
+
+        this._random = random ?? createSeededRandom(seed);
+        this._userInputs = userInputs;
+        this._actors = actors;
+        this._templates = templates;
+        this._tables = tables;
+        this._distances = distances;
+        this._visibility = visibility;
+    }
+
+    /**
+     * @override
+     */
+    getProperty(object, key) {
+        if (!key) {
+            return undefined;
+        }
+
+        return key.split('.').reduce((value, part) => value?.[part], object);
+    }
+
+    /**
+     * @override
+     */
+    setProperty(object, key, value) {
+        let path = key.split('.');
+        let lastPart = path.pop();
+        let parent = object;
+
+        for (let part of path) {
+            if (parent[part] === undefined || parent[part] === null || typeof parent[part] !== 'object') {
+                parent[part] = {};
+            }
+
+            parent = parent[part];
+        }
+
+        parent[lastPart] = value;
+    }
+
+    /**
+     * Evaluates a dice expression. Supported dice are NdX, with r (reroll once), kh (keep highest) and kl (keep lowest) modifiers.
+     * @override
+     */
+    async evaluateRoll(expression, diceModifier = '', diceSource = null) {
+        let dice = [];
+        let diceRegex = /(\d*)d(\d+)((?:(?:r|kh|kl)(?:<=|>=|<|>|=)?\d*)*)/g;
+
+        let formula = expression.replaceAll(diceRegex, (die) => die + diceModifier);
+        let computedExpression = formula.replaceAll(diceRegex, (die, number, faces, modifiers) => {
+            let rolledDie = this._rollDie(Number(number || 1), Number(faces), modifiers, diceSource);
+            dice.push(rolledDie);
+
+            return '(' + rolledDie.total + ')';
+        });
+
+        let total = math.evaluate(computedExpression);
+
+        return {
+            formula,
+            total,
+            dice,
+            toJSON() {
+                return { formula, total, dice };
+            }
+        };
+    }
+
+    /**
+     * Draws a result from a roll table given in the constructor. Without roll expression, every result is equally likely.
+     * @override
+     */
+    async drawTable(tableReference, rollExpression = null, diceSource = null) {
+        let table = this._tables[tableReference];
+        if (!table) {
+            throw new Error('Roll table ' + tableReference + ' not found');
+        }
+
+        let roll = await this.evaluateRoll(rollExpression ?? '1d' + table.length, '', diceSource);
+        let result = table[Math.min(Math.max(roll.total, 1), table.length) - 1];
+        let { text = result, document = null } = typeof result === 'string' ? {} : result;
+
+        return { roll, results: [{ text, getChatText: () => text }], documents: [document] };
+    }
+
+    /**
+     * Adds the items to the actor items list
+     * @override
+     */
+    async grantItems(actor, items) {
+        actor.items = [...(actor.items ?? []), ...items];
+    }
+
+    /**
+     * Gets the user input values given in the constructor, or the inputs default values
+     * @override
+     */
+    async promptUserInputs(userVars, parseValue) {
+        let values = {};
+        for (let userVar of userVars) {
+            values[userVar.name] = parseValue(userVar, this._userInputs[userVar.name] ?? userVar.default ?? '');
+        }
+
+        return values;
+    }
+
+    /**
+     * Finds the actors given in the constructor for a reference. An array of actors can be given for references like targets.
+     * @override
+     */
+    resolveActorReferences(reference) {
+        let actors = [this._actors[reference] ?? []].flat();
+
+        if (actors.length === 0) {
+            throw new ActorReferenceError('No actor found for reference ' + reference, reference);
+        }
+
+        return actors;
+    }
+
+    /**
+     * Gets the distances given in the constructor
+     * @override
+     */
+    measureDistances(actor, targetReference) {
+        let distances = [this._distances[targetReference] ?? []].flat();
+
+        if (distances.length === 0) {
+            throw new DistanceMeasurementError('No token found for reference ' + targetReference, targetReference);
+        }
+
+        return distances;
+    }
+
+    /**
+     * Gets the visible ratios given in the constructor
+     * @override
+     */
+    measureVisibility(actor, targetReference) {
+        let ratios = [this._visibility[targetReference] ?? []].flat();
+
+        if (ratios.length === 0) {
+            throw new DistanceMeasurementError('No token found for reference ' + targetReference, targetReference);
+        }
+
+        return ratios;
+    }
+
+    /**
+     * @override
+     */
+    getItemTemplateName(templateId) {
+        return this._templates[templateId] ?? null;
+    }
+
+    /**
+     * Rolls a group of identical dice
+     * @param {number} number The number of dice
+     * @param {number} faces The number of faces of each die
+     * @param {string} modifiers The dice modifiers, like r1 or kh2
+     * @param {DiceSource|null} diceSource Deterministic source of the dice results. If null, the adapter generator is used.
+     * @return {{number: number, faces: number, modifiers: Array<string>, results: Array<{result: number, active: boolean}>, total: number}}
+     * @private
+     */
+    _rollDie(number, faces, modifiers, diceSource) {
+        const rollOne = () => diceSource?.nextResult(faces) ?? Math.floor(this._random() * faces) + 1;
+
+        let results = [];
+        for (let i = 0; i < number; i++) {
+            results.push({ result: rollOne(), active: true });
+        }
+
+        let modifierList = [...modifiers.matchAll(/(r|kh|kl)(<=|>=|<|>|=)?(\d*)/g)];
+        for (let [, modifier, comparison = '=', value] of modifierList) {
+            if (modifier === 'r') {
+                // Each die matching the condition is rerolled once
+                let target = value === '' ? 1 : Number(value);
+                for (let result of [...results]) {
+                    if (result.active && compare(result.result, comparison, target)) {
+                        result.active = false;
+                        results.splice(results.indexOf(result) + 1, 0, { result: rollOne(), active: true });
+                    }
+                }
+            } else {
+                let kept = results
+                    .filter((result) => result.active)
+                    .sort((a, b) => (modifier === 'kh' ? b.result - a.result : a.result - b.result))
+                    .slice(0, value === '' ? 1 : Number(value));
+
+                for (let result of results) {
+                    result.active = result.active && kept.includes(result);
+                }
+            }
+        }
+
+        return {
+            number,
+            faces,
+            modifiers: modifierList.map(([modifier]) => modifier),
+            results,
+            total: results.filter((result) => result.active).reduce((total, result) => total + result.result, 0)
+        };
+    }
+}
+
+/**
+ * Compares a die result to a target value
+ * @param {number} result
+ * @param {string} comparison One of =, <, <=, >, >=
+ * @param {number} target
+ * @return {boolean}
+ * @ignore
+ */
+const compare = (result, comparison, target) => {
+    switch (comparison) {
+        case '<':
+            return result < target;
+        case '<=':
+            return result <= target;
+        case '>':
+            return result > target;
+        case '>=':
+            return result >= target;
+        default:
+            return result === target;
+    }
+};
+
+export default HeadlessAdapter;
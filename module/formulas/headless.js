@@ -0,0 +1,33 @@
+import Formula from './Formula.js';
+import ComputablePhrase from './ComputablePhrase.js';
+import FormulaValidator from './FormulaValidator.js';
+import DependencyGraph from './DependencyGraph.js';
+import HeadlessAdapter from './adapters/HeadlessAdapter.js';
+
+/**
+ * Entry point to compute formulas outside of Foundry VTT, for example to check templates in Node :
+ *
+ *     import { setupHeadlessEngine, ComputablePhrase } from './module/formulas/headless.js';
+ *
+ *     await setupHeadlessEngine({ seed: 42, userInputs: { models: 5 } });
+ *     let phrase = await ComputablePhrase.computeMessage('${models:=?{models}}$ ${successes([:models:d6], 3)}$', props);
+ *
+ * The regression examples of tests/formulas/examples.json are computed this way, with node --test.
+ *
+ * @param {Object} [options={}] The HeadlessAdapter options : dice seed, user inputs, actors, item templates, roll tables, distances and visibility
+ * @return {Promise<HeadlessAdapter>} The adapter used by formulas
+ */
+export const setupHeadlessEngine = async (options = {}) => {
+    // Foundry VTT loads mathjs as a global script, it has to be loaded manually in Node
+    if (!globalThis.math) {
+        const { createRequire } = await import('module');
+        globalThis.math = createRequire(import.meta.url)('../../lib/math.js');
+    }
+
+    let adapter = new HeadlessAdapter(options);
+    Formula.useAdapter(adapter);
+
+    return adapter;
+};
+
+export { Formula, ComputablePhrase, FormulaValidator, DependencyGraph, HeadlessAdapter };
@@ -0,0 +1,246 @@
+/**
+ * Migration rewriting the deprecated formula syntax :
+ * - @prop becomes ref(prop)
+ * - $column becomes sameRow('column')
+ * - dynamicTable$column becomes fetchFromDynamicTable('dynamicTable', 'column')
+ * - dynamicTable(filterColumn=value)$column becomes fetchFromDynamicTable('dynamicTable', 'column', 'filterColumn', 'value')
+ * - dynamicTable(filterColumn@=prop)$column becomes fetchFromDynamicTable('dynamicTable', 'column', 'filterColumn', ref('prop'))
+ */
+
+const BACKUP_FLAG = 'legacyFormulaBackup';
+
+// Fields of the system data holding components or formulas
+const MIGRATED_FIELDS = ['header', 'body', 'hidden', 'attributeBar', 'activeEffects', 'modifiers'];
+
+// Keys holding phrases, with formulas enclosed in ${ and }$, and keys holding a single formula
+const PHRASE_KEYS = [
+    'value',
+    'prefix',
+    'suffix',
+    'rollMessage',
+    'altRollMessage',
+    'minVal',
+    'maxVal',
+    'max',
+    'formula'
+];
+const FORMULA_KEYS = ['visibilityFormula'];
+
+async function processMigration() {
+    if (!game.user.isGM || !game.settings.get('custom-system-builder', 'migrateLegacyFormulas')) {
+        return;
+    }
+
+    for (let document of getMigratedDocuments()) {
+        let { system, rewrites } = migrateDocument(document);
+
+        if (rewrites.length > 0) {
+            console.log('Processing legacy formula migration for ' + document.name + ' - ' + document.id);
+
+            let backup = {};
+            for (let field of MIGRATED_FIELDS) {
+                if (system[field] !== undefined) {
+                    backup[field] = document.system[field];
+                }
+            }
+
+            await document.update({
+                system: system,
+                flags: {
+                    'custom-system-builder': {
+                        [BACKUP_FLAG]: document.getFlag('custom-system-builder', BACKUP_FLAG) ?? backup
+                    }
+                }
+            });
+
+            console.log(
+                '\tFinished legacy formula migration for ' +
+                    document.name +
+                    ' - ' +
+                    document.id +
+                    ' (' +
+                    rewrites.length +
+                    ' formulas rewritten)'
+            );
+        }
+    }
+}
+
+/**
+ * Lists every rewrite the migration would do, without updating any document
+ * @return {Array<{document: string, type: string, path: string, before: string, after: string}>}
+ */
+function previewMigration() {
+    let report = [];
+
+    for (let document of getMigratedDocuments()) {
+        for (let rewrite of migrateDocument(document).rewrites) {
+            report.push({
+                document: document.name,
+                type: document.documentName,
+                ...rewrite
+            });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Restores the formulas saved before the migration, and disables the migration so it does not run again
+ * @return {Promise<number>} The number of restored documents
+ */
+async function revertMigration() {
+    let restored = 0;
+
+    await game.settings.set('custom-system-builder', 'migrateLegacyFormulas', false);
+
+    for (let document of getMigratedDocuments()) {
+        let backup = document.getFlag('custom-system-builder', BACKUP_FLAG);
+
+        if (backup) {
+            console.log('Reverting legacy formula migration for ' + document.name + ' - ' + document.id);
+
+            // Objects are replaced as a whole, so that keys added since the migration are not kept
+            let update = { [`flags.custom-system-builder.-=${BACKUP_FLAG}`]: null };
+            for (let field in backup) {
+                update[`system.==${field}`] = backup[field];
+            }
+
+            await document.update(update);
+            restored++;
+        }
+    }
+
+    return restored;
+}
+
+/**
+ * Gets every world document which can hold formulas : actors and items, templates or not
+ * @return {Array<CustomActor|CustomItem>}
+ * @ignore
+ */
+function getMigratedDocuments() {
+    return [...game.actors, ...game.items, ...game.actors.contents.flatMap((actor) => [...actor.items])];
+}
+
+/**
+ * Computes the migrated system data of a document
+ * @param {CustomActor|CustomItem} document
+ * @return {{system: Object, rewrites: Array<{path: string, before: string, after: string}>}} The migrated fields and the list of rewrites
+ * @ignore
+ */
+function migrateDocument(document) {
+    let system = {};
+    let rewrites = [];
+
+    for (let field of MIGRATED_FIELDS) {
+        if (document.system[field] !== undefined) {
+            system[field] = migrateObject(foundry.utils.deepClone(document.system[field]), field, rewrites);
+        }
+    }
+
+    return { system, rewrites };
+}
+
+/**
+ * Recursively rewrites the phrases and formulas held in an object
+ * @param {*} object The object to migrate, modified in place
+ * @param {string} path The path of the object in the system data
+ * @param {Array<{path: string, before: string, after: string}>} rewrites The list of rewrites, completed by this function
+ * @return {*} The migrated object
+ * @ignore
+ */
+function migrateObject(object, path, rewrites) {
+    if (object && typeof object === 'object') {
+        for (let key in object) {
+            let value = object[key];
+            let valuePath = path + '.' + key;
+
+            if (typeof value === 'string' && (PHRASE_KEYS.includes(key) || FORMULA_KEYS.includes(key))) {
+                let migratedValue = PHRASE_KEYS.includes(key)
+                    ? rewriteLegacyPhrase(value)
+                    : rewriteLegacyFormula(value);
+
+                if (migratedValue !== value) {
+                    rewrites.push({ path: valuePath, before: value, after: migratedValue });
+                    object[key] = migratedValue;
+                }
+            } else {
+                migrateObject(value, valuePath, rewrites);
+            }
+        }
+    }
+
+    return object;
+}
+
+/**
+ * Rewrites legacy tokens in every formula of a phrase
+ * @param {string} phrase The phrase, holding formulas enclosed in ${ and }$
+ * @return {string}
+ */
+function rewriteLegacyPhrase(phrase) {
+    return phrase.replaceAll(/\${(.*?)}\$/gs, (match, formula) => '${' + rewriteLegacyFormula(formula) + '}$');
+}
+
+/**
+ * Rewrites legacy tokens in a formula, leaving quoted texts untouched
+ * @param {string} formula The formula, without enclosing ${ and }$
+ * @return {string}
+ */
+function rewriteLegacyFormula(formula) {
+    return formula
+        .split(/((?<!\\)'.*?(?<!\\)'|".*?")/s)
+        .map((part, idx) =>
+            // Odd indexes are the quoted texts captured by the split
+            idx % 2 === 1
+                ? part
+                : part.replaceAll(/@?\$?[A-Za-z0-9_.]+(((\(.*?\))?\$)?[A-Za-z0-9_]+)?/g, (token) =>
+                      rewriteLegacyToken(token)
+                  )
+        )
+        .join('');
+}
+
+/**
+ * Rewrites a single legacy token. Tokens without legacy syntax are returned unchanged.
+ * @param {string} token
+ * @return {string}
+ * @ignore
+ */
+function rewriteLegacyToken(token) {
+    if (token.startsWith('@')) {
+        return 'ref(' + rewriteLegacyToken(token.substring(1)) + ')';
+    }
+
+    if (token.startsWith('$')) {
+        return 'sameRow(' + quote(token.substring(1)) + ')';
+    }
+
+    let dynamicTableMatch = token.match(/^([a-zA-Z0-9_.]+)(\(([a-zA-Z0-9_]+)(@?)=(.+)\))?\$([A-Za-z0-9_]+)$/);
+    if (dynamicTableMatch) {
+        let [, dynamicTable, filterExpr, filterColumn, filterRef, filterValue, targetColumn] = dynamicTableMatch;
+        let args = [quote(dynamicTable), quote(targetColumn)];
+
+        if (filterExpr) {
+            args.push(quote(filterColumn), filterRef === '@' ? 'ref(' + quote(filterValue) + ')' : quote(filterValue));
+        }
+
+        return 'fetchFromDynamicTable(' + args.join(', ') + ')';
+    }
+
+    return token;
+}
+
+/**
+ * Encloses a text in single quotes, escaping the quotes it contains
+ * @param {string} text
+ * @return {string}
+ * @ignore
+ */
+function quote(text) {
+    return "'" + text.replaceAll("'", "\\'") + "'";
+}
+
+export default { processMigration, previewMigration, revertMigration, rewriteLegacyPhrase, rewriteLegacyFormula };
@@ -0,0 +1,228 @@
+/**
+ * Records the changes of the props of a character in its prop history, before the update is saved.
+ * Each changed value is recorded with its key, previous value, user and time. New dynamic table rows and other new
+ * objects are recorded as a single change. The history keeps the number of changes set in the system settings.
+ * @param {CustomActor} actor The updated character
+ * @param {Object} changes The update changes, completed in place with the new history
+ * @param {string} userId The id of the user updating the character
+ */
+export const recordPropChanges = (actor, changes, userId) => {
+    let historySize = game.settings.get('custom-system-builder', 'propHistorySize');
+    let propChanges = changes.system?.props;
+
+    if (!historySize || !propChanges || typeof propChanges !== 'object') {
+        return;
+    }
+
+    let timestamp = Date.now();
+    let entries = collectChanges(actor._source.system.props ?? {}, propChanges).map((change) => ({
+        id: foundry.utils.randomID(),
+        ...change,
+        user: userId,
+        timestamp: timestamp
+    }));
+
+    if (entries.length === 0) {
+        return;
+    }
+
+    foundry.utils.setProperty(
+        changes,
+        'flags.custom-system-builder.propHistory',
+        [...getPropHistory(actor), ...entries].slice(-historySize)
+    );
+};
+
+/**
+ * Gets the prop history of a character, from the oldest to the latest change
+ * @param {CustomActor} actor
+ * @return {Array<{id: string, key: string, previous: *, value: *, user: string, timestamp: number}>} The changes.
+ * Values are undefined for props which did not exist before or were deleted.
+ */
+export const getPropHistory = (actor) => {
+    return actor.getFlag('custom-system-builder', 'propHistory') ?? [];
+};
+
+/**
+ * Reverts a change of the prop history of a character, setting its key back to its previous value.
+ * The revert is recorded in the history as well.
+ * @param {CustomActor} actor
+ * @param {string} entryId The id of the change
+ * @return {Promise<boolean>} If the change was found and reverted
+ */
+export const revertPropChange = async (actor, entryId) => {
+    let entry = getPropHistory(actor).find((entry) => entry.id === entryId);
+
+    if (!entry) {
+        return false;
+    }
+
+    await revertEntries(actor, [entry]);
+    return true;
+};
+
+/**
+ * Reverts a change of the prop history of a character and every later change, setting each changed key back to its
+ * value before the change. The reverts are recorded in the history as well.
+ * @param {CustomActor} actor
+ * @param {string} entryId The id of the first reverted change
+ * @return {Promise<boolean>} If the change was found and reverted
+ */
+export const revertPropChangesSince = async (actor, entryId) => {
+    let history = getPropHistory(actor);
+    let index = history.findIndex((entry) => entry.id === entryId);
+
+    if (index === -1) {
+        return false;
+    }
+
+    await revertEntries(actor, history.slice(index));
+    return true;
+};
+
+/**
+ * Shows the prop history of a character, allowing its owners to revert changes
+ * @param {CustomActor} actor
+ */
+export const showPropHistory = async (actor) => {
+    let content = await renderTemplate('systems/custom-system-builder/templates/actor/dialogs/prop-history.html', {
+        canRevert: actor.isOwner,
+        entries: getPropHistory(actor)
+            .map((entry) => ({
+                id: entry.id,
+                key: entry.key,
+                previous: formatValue(entry.previous),
+                value: formatValue(entry.value),
+                user: game.users.get(entry.user)?.name ?? 'Unknown user',
+                time: new Date(entry.timestamp).toLocaleString()
+            }))
+            .reverse()
+    });
+
+    let historyDialog = new Dialog(
+        {
+            title: 'Prop history of ' + actor.name,
+            content: content,
+            buttons: {
+                close: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: 'Close'
+                }
+            },
+            default: 'close',
+            render: (html) => {
+                html.find('.custom-system-revert-prop-change, .custom-system-revert-prop-changes-since').on(
+                    'click',
+                    async (ev) => {
+                        let target = $(ev.currentTarget);
+                        let entryId = target.parents('.custom-system-prop-change').data('id');
+
+                        if (target.hasClass('custom-system-revert-prop-changes-since')) {
+                            await revertPropChangesSince(actor, entryId);
+                        } else {
+                            await revertPropChange(actor, entryId);
+                        }
+
+                        await historyDialog.close();
+                        showPropHistory(actor);
+                    }
+                );
+            }
+        },
+        { width: 700 }
+    );
+
+    historyDialog.render(true);
+};
+
+/**
+ * Lists the changed values of an update, compared to the current values
+ * @param {Object} source The current values
+ * @param {Object} changes The update changes
+ * @param {string} [prefix=''] The key prefix of the values
+ * @return {Array<{key: string, previous: *, value: *}>}
+ * @ignore
+ */
+const collectChanges = (source, changes, prefix = '') => {
+    let propChanges = [];
+
+    for (let [key, value] of Object.entries(changes)) {
+        // Deletions are written -=key
+        if (key.startsWith('-=')) {
+            key = key.substring(2);
+            if (source?.[key] !== undefined) {
+                propChanges.push({ key: prefix + key, previous: source[key], value: undefined });
+            }
+
+            continue;
+        }
+
+        let previous = source?.[key];
+
+        if (isObject(value) && isObject(previous)) {
+            propChanges.push(...collectChanges(previous, value, prefix + key + '.'));
+        } else if (JSON.stringify(previous) !== JSON.stringify(value)) {
+            propChanges.push({ key: prefix + key, previous: previous, value: value });
+        }
+    }
+
+    return propChanges;
+};
+
+/**
+ * Sets the keys of history changes back to their value before the earliest of the changes.
+ * Keys inside reverted objects, like the columns of a reverted dynamic table row, are reverted with their object.
+ * @param {CustomActor} actor
+ * @param {Array<Object>} entries The changes, from the oldest to the latest
+ * @return {Promise<void>}
+ * @ignore
+ */
+const revertEntries = async (actor, entries) => {
+    let previousValues = new Map();
+    for (let entry of entries) {
+        if (!previousValues.has(entry.key)) {
+            previousValues.set(entry.key, entry.previous);
+        }
+    }
+
+    let update = {};
+    for (let [key, previous] of previousValues) {
+        if ([...previousValues.keys()].some((parentKey) => key.startsWith(parentKey + '.'))) {
+            continue;
+        }
+
+        if (previous === undefined) {
+            let path = key.split('.');
+            let name = path.pop();
+            update[['system.props', ...path, '-=' + name].join('.')] = null;
+        } else {
+            update['system.props.' + key] = previous;
+        }
+    }
+
+    await actor.update(update);
+};
+
+/**
+ * Checks if a value is a plain object
+ * @param {*} value
+ * @return {boolean}
+ * @ignore
+ */
+const isObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Formats a recorded value for display
+ * @param {*} value
+ * @return {string}
+ * @ignore
+ */
+const formatValue = (value) => {
+    if (value === undefined) {
+        return '-';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
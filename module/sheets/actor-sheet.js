@@ -96,6 +96,7 @@ export class CustomActorSheet extends ActorSheet {
         context.isGM = game.user.isGM;
         context.display = context.system.display;
         context.template = context.system.template;
+        context.propertyCycles = this.actor.propertyCycles;
     }
 
     /** @override */
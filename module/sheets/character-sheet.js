@@ -1,4 +1,6 @@
 import { CustomActorSheet } from './actor-sheet.js';
+import { switchTemplate } from '../template-mapping.js';
+import { showPropHistory } from '../prop-history.js';
 
 /**
  * The character actor sheets
@@ -57,9 +59,31 @@ export class CharacterSheet extends CustomActorSheet {
     async _prepareSheetData(context) {
         context.availableTemplates = game.actors.filter((actor) => actor.type === '_template');
 
+        // Props removed by template reloads can be restored
+        let removedProps = this.actor.getFlag('custom-system-builder', 'removedProps') ?? {};
+        context.removedProps = Object.keys(removedProps).join(', ');
+
         await super._prepareSheetData(context);
     }
 
+    /**
+     * Adds the prop history button to the sheet header
+     * @override
+     * @ignore
+     */
+    _getHeaderButtons() {
+        let buttons = super._getHeaderButtons();
+
+        buttons.unshift({
+            label: 'History',
+            class: 'custom-system-prop-history',
+            icon: 'fas fa-history',
+            onclick: () => showPropHistory(this.actor)
+        });
+
+        return buttons;
+    }
+
     /**
      * @override
      * @private
@@ -71,6 +95,16 @@ export class CharacterSheet extends CustomActorSheet {
         // Everything below here is only needed if the sheet is editable
         if (!this.isEditable) return;
 
+        // Template selection, saved with the sheet. Switching templates, the previous fields can be mapped onto the
+        // new ones
+        html.find('.custom-system-template-select #template').change((ev) => {
+            const templateId = $(ev.currentTarget).val();
+
+            if (game.user.isGM && templateId && templateId !== this.actor.system.template) {
+                switchTemplate(this.actor, templateId);
+            }
+        });
+
         // Template reload button
         html.find('.custom-system-template-select #custom-system-reload-template').click((ev) => {
             if (game.user.isGM) {
@@ -80,5 +114,18 @@ export class CharacterSheet extends CustomActorSheet {
                 this.actor.reloadTemplate(templateId);
             }
         });
+
+        // Removed props restoration button
+        html.find('.custom-system-template-select #custom-system-restore-props').click(async (ev) => {
+            if (game.user.isGM) {
+                let restoredKeys = await this.actor.restoreRemovedProps();
+
+                if (restoredKeys.length > 0) {
+                    ui.notifications.info('Restored props : ' + restoredKeys.join(', '));
+                } else {
+                    ui.notifications.warn('None of the removed props has a key in the current template');
+                }
+            }
+        });
     }
 }
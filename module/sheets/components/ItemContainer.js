@@ -33,6 +33,13 @@ class ItemContainer extends ExtensibleTable {
      */
     _showDelete;
 
+    /**
+     * Show equipped toggle, turning the item modifiers on and off
+     * @type {Boolean}
+     * @private
+     */
+    _showEquip;
+
     /**
      * Alignment of the item reference column
      * @type {String}
@@ -57,6 +64,7 @@ class ItemContainer extends ExtensibleTable {
      * @param {boolean} [data.head=false] Table header should be bold
      * @param {boolean} [data.deleteWarning=false] Display warning on item delete
      * @param {boolean} [data.showDelete=true] Display delete button
+     * @param {boolean} [data.showEquip=false] Display equipped toggle
      * @param {String} [data.nameAlign=null] Alignment of the item reference column
      * @param {String} [data.nameLabel='Name'] Label of the item reference column
      * @param {Array<String>} [data.templateFilter=[]] Which templates can be displayed
@@ -75,6 +83,7 @@ class ItemContainer extends ExtensibleTable {
         headDisplay = true,
         deleteWarning = false,
         showDelete = true,
+        showEquip = false,
         nameAlign = null,
         nameLabel = 'Name',
         templateFilter = [],
@@ -106,6 +115,7 @@ class ItemContainer extends ExtensibleTable {
         this._templateFilter = templateFilter;
         this._itemFilter = itemFilter;
         this._showDelete = showDelete;
+        this._showEquip = showEquip;
         this._nameAlign = nameAlign;
         this._nameLabel = nameLabel;
     }
@@ -150,7 +160,13 @@ class ItemContainer extends ExtensibleTable {
             return isValid;
         });
 
-        if (!this._headDisplay && !this._showDelete && this.contents.length === 0 && !actor.isTemplate) {
+        if (
+            !this._headDisplay &&
+            !this._showDelete &&
+            !this._showEquip &&
+            this.contents.length === 0 &&
+            !actor.isTemplate
+        ) {
             jQElement.addClass('flexcol flex-group-no-stretch');
 
             switch (this._nameAlign) {
@@ -276,7 +292,7 @@ class ItemContainer extends ExtensibleTable {
                     firstRow.append(cell);
                 }
 
-                if (this._showDelete || actor.isTemplate) {
+                if (this._showDelete || this._showEquip || actor.isTemplate) {
                     let headControlsCell = $('<td></td>');
 
                     if (actor.isTemplate) {
@@ -364,12 +380,31 @@ class ItemContainer extends ExtensibleTable {
                     tableRow.append(cell);
                 }
 
-                if (this._showDelete) {
+                if (this._showDelete || this._showEquip) {
                     let controlCell = $('<td></td>');
                     let controlDiv = $('<div></div>');
                     controlDiv.addClass('custom-system-dynamic-table-row-icons');
 
-                    if (isEditable) {
+                    if (this._showEquip) {
+                        let isEquipped = item.system.equipped !== false;
+                        let equipLink = $('<a></a>');
+                        equipLink.attr('title', isEquipped ? 'Equipped' : 'Not equipped');
+                        equipLink.append(
+                            '<i class="fas ' +
+                                (isEquipped ? 'fa-toggle-on' : 'fa-toggle-off') +
+                                ' custom-system-clickable"></i>'
+                        );
+
+                        if (isEditable) {
+                            equipLink.on('click', () => {
+                                item.update({ 'system.equipped': !isEquipped });
+                            });
+                        }
+
+                        controlDiv.append(equipLink);
+                    }
+
+                    if (isEditable && this._showDelete) {
                         let deleteLink = $(
                             '<a><i class="fas fa-trash custom-system-deleteDynamicLine custom-system-clickable"></i></a>'
                         );
@@ -421,6 +456,7 @@ class ItemContainer extends ExtensibleTable {
             headDisplay: this._headDisplay,
             deleteWarning: this._deleteWarning,
             showDelete: this._showDelete,
+            showEquip: this._showEquip,
             nameAlign: this._nameAlign,
             nameLabel: this._nameLabel,
             templateFilter: this._templateFilter,
@@ -449,6 +485,7 @@ class ItemContainer extends ExtensibleTable {
             head: json.head,
             headDisplay: json.headDisplay,
             showDelete: json.showDelete,
+            showEquip: json.showEquip,
             deleteWarning: json.deleteWarning,
             nameAlign: json.nameAlign,
             nameLabel: json.nameLabel,
@@ -545,6 +582,7 @@ class ItemContainer extends ExtensibleTable {
         fieldData.headDisplay = html.find('#itemHeadDisplay').is(':checked');
         fieldData.head = html.find('#itemHead').is(':checked');
         fieldData.showDelete = html.find('#itemShowDelete').is(':checked');
+        fieldData.showEquip = html.find('#itemShowEquip').is(':checked');
         fieldData.deleteWarning = html.find('#itemDeleteWarning').is(':checked');
         fieldData.nameAlign = html.find('#itemNameAlign').val();
         fieldData.nameLabel = html.find('#itemNameLabel').val();
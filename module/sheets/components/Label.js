@@ -1,5 +1,6 @@
 import InputComponent from './InputComponent.js';
 import { postAugmentedChatMessage } from '../../utils.js';
+import { DistanceMeasurementError, UserInputCancelledError } from '../../errors/errors.js';
 
 /**
  * Label component
@@ -219,6 +220,14 @@ class Label extends InputComponent {
         contentDiv.append(content);
         jQElement.append(contentDiv);
 
+        // Props changed by modifiers show the applied modifiers when hovered
+        let modifierBreakdown = this.key ? actor.modifierBreakdowns?.[this.key] : null;
+        if (!actor.isTemplate && modifierBreakdown?.steps.length > 0) {
+            jQElement.addClass('custom-system-has-modifiers');
+            jQElement.attr('data-tooltip', await renderModifierBreakdown(modifierBreakdown));
+            jQElement.attr('data-tooltip-direction', 'UP');
+        }
+
         if (isEditable && this._rollMessage) {
             let rollElement = $('<a></a>');
             rollElement.addClass('custom-system-rollable');
@@ -244,10 +253,26 @@ class Label extends InputComponent {
                     }
 
                     let textContent = new ComputablePhrase(rollMessage);
-                    await textContent.compute(rollProps, {
-                        reference: formulaRef,
-                        computeExplanation: true
-                    });
+                    try {
+                        await textContent.compute(rollProps, {
+                            reference: formulaRef,
+                            computeExplanation: true,
+                            actor: actor instanceof Actor ? actor : actor.parent
+                        });
+                    } catch (err) {
+                        // Closing a user input dialog aborts the roll
+                        if (err instanceof UserInputCancelledError) {
+                            return;
+                        }
+
+                        // Distances can not be measured without tokens on the scene
+                        if (err instanceof DistanceMeasurementError) {
+                            ui.notifications.error(err.message);
+                            return;
+                        }
+
+                        throw err;
+                    }
 
                     let speakerData = ChatMessage.getSpeaker({
                         actor: actor,
@@ -807,6 +832,25 @@ class Label extends InputComponent {
     }
 }
 
+/**
+ * Renders the modifiers applied to a prop as a tree, like the roll explanations of chat messages
+ * @param {{base: *, steps: Array<Object>, result: *}} modifierBreakdown The breakdown of the prop
+ * @return {Promise<string>} The breakdown HTML
+ * @ignore
+ */
+const renderModifierBreakdown = (modifierBreakdown) => {
+    const operatorSymbols = { add: '+', subtract: '-', multiply: 'x', divide: '/', set: '=' };
+
+    return renderTemplate('systems/custom-system-builder/templates/actor/modifier-breakdown.html', {
+        base: modifierBreakdown.base,
+        steps: modifierBreakdown.steps.map((step, idx) => ({
+            ...step,
+            branch: (idx === modifierBreakdown.steps.length - 1 ? '└─' : '├─') + '&nbsp;',
+            operator: operatorSymbols[step.operator] ?? step.operator
+        }))
+    });
+};
+
 /**
  * @ignore
  */
@@ -1,3 +1,4 @@
+import { inheritsFrom, setParentTemplate } from '../../template-inheritance.js';
 import templateFunctions from '../template-functions.js';
 import { EquippableItemSheet } from './equippable-item-sheet.js';
 
@@ -17,6 +18,10 @@ export class EquippableItemTemplateSheet extends EquippableItemSheet {
         // editable, the items array, and the effects array.
         const context = await super.getData();
 
+        context.availableParentTemplates = game.items.filter(
+            (item) => item.type === '_equippableItemTemplate' && item !== this.item
+        );
+
         // Prepare character data and items.
         await this._prepareSheetData(context);
 
@@ -34,20 +39,24 @@ export class EquippableItemTemplateSheet extends EquippableItemSheet {
         // Edit hidden attributes
         html.find('.custom-system-configure-attributes').click((ev) => {
             // Open the dialog for edition
-            templateFunctions.attributes((newAttributes) => {
-                // This is called on dialog validation
+            templateFunctions.attributes(
+                (newAttributes) => {
+                    // This is called on dialog validation
 
-                // Update the actor with new hidden attributes
+                    // Update the actor with new hidden attributes
+                    this.item
+                        .update({
+                            system: {
+                                hidden: newAttributes
+                            }
+                        })
+                        .then(() => {
+                            this.render(false);
+                        });
+                },
+                this.item.system.hidden,
                 this.item
-                    .update({
-                        system: {
-                            hidden: newAttributes
-                        }
-                    })
-                    .then(() => {
-                        this.render(false);
-                    });
-            }, this.item.system.hidden);
+            );
         });
 
         // Edit display settings
@@ -69,13 +78,23 @@ export class EquippableItemTemplateSheet extends EquippableItemSheet {
             }, this.item.system.display);
         });
 
+        // Parent template selection, checked before saving
+        html.find('.custom-system-parent-template').change(async (ev) => {
+            await setParentTemplate(this.item, $(ev.currentTarget).val());
+            this.render(false);
+        });
+
         // Reload all sheets
         html.find('.custom-system-reload-all-sheets').click((ev) => {
             Dialog.confirm({
                 title: 'Reload all item sheets ?',
                 content: '<p>Do you really want to reload all sheets at once ?</p>',
                 yes: () => {
-                    let items = game.items.filter((item) => item.system.template === this.item.id);
+                    // Sheets of templates inheriting from this one are reloaded as well
+                    let templateIds = game.items
+                        .filter((template) => template.isTemplate && inheritsFrom(template, this.item))
+                        .map((template) => template.id);
+                    let items = game.items.filter((item) => templateIds.includes(item.system.template));
                     items.forEach((item) => {
                         item.reloadTemplate();
                     });
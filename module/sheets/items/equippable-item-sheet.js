@@ -121,6 +121,7 @@ export class EquippableItemSheet extends ItemSheet {
         context.isGM = game.user.isGM;
         context.display = context.system.display;
         context.template = context.system?.template;
+        context.propertyCycles = this.item.propertyCycles;
     }
 
     /** @override */
@@ -148,16 +149,19 @@ export class EquippableItemSheet extends ItemSheet {
                     modifiers: this.item.system.modifiers,
                     id: 'item_mod',
                     label: 'Item modifiers',
-                    visible: true
+                    visible: true,
+                    hasCondition: true,
+                    condition: this.item.system.modifiersCondition
                 };
 
                 templateFunctions.modifiers(
-                    (newModifiers) => {
+                    (newModifiers, newConditions) => {
                         // Update the actor with new hidden attributes
                         this.item
                             .update({
                                 system: {
-                                    modifiers: newModifiers.item_mod
+                                    modifiers: newModifiers.item_mod,
+                                    modifiersCondition: newConditions.item_mod ?? ''
                                 }
                             })
                             .then(() => {
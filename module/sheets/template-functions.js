@@ -1,12 +1,52 @@
+import Formula from '../formulas/Formula.js';
+import FormulaValidator from '../formulas/FormulaValidator.js';
+
 let editTabDialog = null;
 let componentDialog = null;
 let attributesDialog = null;
 let attributeBarsDialog = null;
 let displaySettingsDialog = null;
 let modifiersDialog = null;
+let aurasDialog = null;
 
 const mathjsBlacklist = new Set(['end', 'height']);
 
+// Component fields holding phrases, with formulas enclosed in ${ and }$, and fields holding a single formula
+const phraseFieldKeys = ['value', 'prefix', 'suffix', 'rollMessage', 'altRollMessage', 'minVal', 'maxVal'];
+const formulaFieldKeys = ['visibilityFormula'];
+
+/**
+ * Validates a field holding a phrase or a formula, and displays the issues found below it
+ * @param {jQuery} field The field to validate
+ * @param {FormulaValidator} validator The validator to use
+ * @param {boolean} [isPhrase=true] Indicates if the field holds a phrase, or a single formula
+ * @returns {boolean} True if errors were found
+ * @ignore
+ */
+const validateFormulaField = (field, validator, isPhrase = true) => {
+    let value = field.val();
+    let issues = isPhrase ? validator.validatePhrase(value) : validator.validateFormula(value);
+
+    let issueList = field.siblings('.custom-system-formula-issues');
+    if (issueList.length === 0) {
+        issueList = $('<ul class="custom-system-formula-issues"></ul>');
+        field.after(issueList);
+    }
+
+    issueList.empty();
+    for (let issue of issues) {
+        issueList.append(
+            $('<li></li>')
+                .addClass('custom-system-formula-' + issue.severity)
+                .text(issue.message)
+        );
+    }
+
+    issueList.toggle(issues.length > 0);
+
+    return issues.some((issue) => issue.severity === 'error');
+};
+
 /**
  * Dialog for tab creation / edition
  * @param callback The callback to call on Save click
@@ -156,6 +196,19 @@ const component = async (
         }
     }
 
+    const formulaValidator = new FormulaValidator({
+        availableKeys: actor?.getKeys() ?? [],
+        isDynamicTable
+    });
+
+    const validateComponentField = (field) => {
+        return validateFormulaField(field, formulaValidator, phraseFieldKeys.includes(field.data('key')));
+    };
+
+    const formulaFieldSelector = [...phraseFieldKeys, ...formulaFieldKeys]
+        .map((key) => `[data-key="${key}"]`)
+        .join(', ');
+
     let editButtons = {};
 
     // If component data was provided, we can display the edit actions : Delete and Sort buttons
@@ -192,16 +245,35 @@ const component = async (
                         let componentClass = componentFactory.getComponentClass(newCompType);
                         let fieldData = componentClass.extractConfig(html);
 
+                        // Only the fields of the selected component type are saved
+                        let hasFormulaErrors = false;
+                        for (let field of html
+                            .find('.custom-system-component-generic-fields, .custom-system-' + newCompType + '-editor')
+                            .find(formulaFieldSelector)) {
+                            hasFormulaErrors = validateComponentField($(field)) || hasFormulaErrors;
+                        }
+
+                        if (hasFormulaErrors) {
+                            throw new Error('Some formulas contain errors. Please fix them before saving.');
+                        }
+
                         if (isDynamicTable && fieldData.key === '') {
                             throw new Error('Component key is mandatory for all fields in this container');
                         }
 
-                        if (
-                            fieldData.key !== componentData?.key &&
-                            !isDynamicTable &&
-                            actor.getKeys().has(fieldData.key)
-                        ) {
-                            throw new Error('Component keys should be unique in the template.');
+                        if (fieldData.key !== componentData?.key && !isDynamicTable) {
+                            if (actor.getKeys({ inherited: false }).has(fieldData.key)) {
+                                throw new Error('Component keys should be unique in the template.');
+                            }
+
+                            // Reusing an inherited key is the way to override a parent template component
+                            if (actor.getKeys().has(fieldData.key)) {
+                                ui.notifications.info(
+                                    'Component ' +
+                                        fieldData.key +
+                                        ' will replace the component inherited from the parent template.'
+                                );
+                            }
                         }
 
                         callback('edit', fieldData);
@@ -244,7 +316,7 @@ const component = async (
                     let val = target.val();
 
                     if (val && val.match(/^[a-zA-Z0-9_]+$/)) {
-                        if (mathjsBlacklist.has(val)) {
+                        if (mathjsBlacklist.has(val) || Formula.CUSTOM_FUNCTIONS.includes(val)) {
                             html.find('.custom-system-key-warning').show();
                         } else {
                             try {
@@ -261,6 +333,15 @@ const component = async (
                 html.find('.custom-system-component-editor-dialog #compKey').on('change', checkComponentKey);
                 checkComponentKey();
 
+                // Formulas are validated live, to show mistakes before saving
+                for (let field of html.find(formulaFieldSelector)) {
+                    validateComponentField($(field));
+                }
+
+                html.on('input', formulaFieldSelector, (ev) => {
+                    validateComponentField($(ev.currentTarget));
+                });
+
                 html.find('.custom-system-collapsible-block .custom-system-collapsible-block-title').prepend(
                     $('<i class="fas fa-caret-right"></i>')
                 );
@@ -298,10 +379,30 @@ const component = async (
  * Dialog for hidden attributes creation / edition
  * @param callback The callback to call on button click
  * @param attr The existing hidden attributes
+ * @param {CustomActor|CustomItem|null} [entity=null] The template holding the attributes, used to validate formulas
  * @returns {Promise<void>}
  * @ignore
  */
-const attributes = async (callback, attr) => {
+const attributes = async (callback, attr, entity = null) => {
+    // Attribute names entered in the dialog are available in every attribute formula
+    const validateAttributeFormulas = (html) => {
+        let attributeNames = html
+            .find('.custom-system-attribute-name')
+            .map((idx, elt) => $(elt).val())
+            .get();
+
+        let formulaValidator = new FormulaValidator({
+            availableKeys: [...(entity?.getKeys() ?? []), ...attributeNames]
+        });
+
+        let hasFormulaErrors = false;
+        for (let field of html.find('.custom-system-attribute-formula')) {
+            hasFormulaErrors = validateFormulaField($(field), formulaValidator) || hasFormulaErrors;
+        }
+
+        return hasFormulaErrors;
+    };
+
     // Render the dialog's contents
     let content = await renderTemplate(`systems/custom-system-builder/templates/_template/dialogs/attributes.html`, {
         attribute: attr
@@ -337,6 +438,10 @@ const attributes = async (callback, attr) => {
                             attrList.push({ name: attrName, value: attrFormula });
                         }
 
+                        if (validateAttributeFormulas(html)) {
+                            throw new Error('Some formulas contain errors. Please fix them before saving.');
+                        }
+
                         callback(attrList);
                     }
                 },
@@ -351,6 +456,16 @@ const attributes = async (callback, attr) => {
 
                 dialogElt.css({ 'max-height': '75%' });
 
+                // Formulas are validated live, to show mistakes before saving
+                validateAttributeFormulas(html);
+                html.on(
+                    'input',
+                    '.custom-system-attributes .custom-system-attribute-name, .custom-system-attributes .custom-system-attribute-formula',
+                    () => {
+                        validateAttributeFormulas(html);
+                    }
+                );
+
                 // Add attributes button
                 html.find('.custom-system-attributes #addAttribute').on('click', (ev) => {
                     const target = $(ev.currentTarget);
@@ -544,10 +659,12 @@ const displaySettings = async (callback, attr) => {
     displaySettingsDialog.render(true);
 };
 
-const modifiers = async (callback, blocks) => {
+const modifiers = async (callback, blocks, groups = null) => {
     // Render the dialog's contents
     let content = await renderTemplate(`systems/custom-system-builder/templates/_template/dialogs/modifiers.html`, {
-        blocks
+        blocks,
+        groups,
+        hasGroups: groups !== null
     });
 
     if (modifiersDialog && modifiersDialog.rendered) {
@@ -565,6 +682,7 @@ const modifiers = async (callback, blocks) => {
                     label: 'Save modifiers',
                     callback: (html) => {
                         let newModifiers = {};
+                        let newConditions = {};
                         let modifierBlocks = html.find('.custom-system-modifiers');
 
                         for (let block of modifierBlocks) {
@@ -580,6 +698,12 @@ const modifiers = async (callback, blocks) => {
                                 let modifierKey = $(modifierElt).find('.custom-system-modifier-key').val();
                                 let modifierOperator = $(modifierElt).find('.custom-system-modifier-operator').val();
                                 let modifierFormula = $(modifierElt).find('.custom-system-modifier-formula').val();
+                                let modifierCondition = $(modifierElt)
+                                    .find('.custom-system-modifier-condition')
+                                    .val()
+                                    .trim();
+                                let modifierGroup = $(modifierElt).find('.custom-system-modifier-group').val().trim();
+                                let modifierSource = $(modifierElt).find('.custom-system-modifier-source').val().trim();
 
                                 if (modifierKey === '' || modifierFormula === '') {
                                     throw new Error('Name and Formula must be entered for each attribute');
@@ -589,14 +713,40 @@ const modifiers = async (callback, blocks) => {
                                     priority: Number.isNaN(Number(modifierPriority)) ? 0 : Number(modifierPriority),
                                     key: modifierKey,
                                     operator: modifierOperator,
-                                    formula: modifierFormula
+                                    formula: modifierFormula,
+                                    condition: modifierCondition,
+                                    group: modifierGroup,
+                                    source: modifierSource
                                 });
                             }
 
                             newModifiers[blockId] = modifierList;
+                            newConditions[blockId] = $(block).find('.custom-system-modifiers-condition').val()?.trim();
+                        }
+
+                        let newGroups = [];
+                        for (let groupElt of html.find('tr.custom-system-modifier-group-rule')) {
+                            let groupName = $(groupElt).find('.custom-system-modifier-group-name').val().trim();
+                            let groupMin = $(groupElt).find('.custom-system-modifier-group-min').val();
+                            let groupMax = $(groupElt).find('.custom-system-modifier-group-max').val();
+
+                            if (groupName === '') {
+                                throw new Error('Name must be entered for each modifier group');
+                            }
+
+                            if (newGroups.some((group) => group.name === groupName)) {
+                                throw new Error('Modifier group ' + groupName + ' is defined more than once');
+                            }
+
+                            newGroups.push({
+                                name: groupName,
+                                stacking: $(groupElt).find('.custom-system-modifier-group-stacking').val(),
+                                min: groupMin === '' ? null : Number(groupMin),
+                                max: groupMax === '' ? null : Number(groupMax)
+                            });
                         }
 
-                        callback(newModifiers);
+                        callback(newModifiers, newConditions, newGroups);
                     }
                 },
                 cancel: {
@@ -637,7 +787,13 @@ const modifiers = async (callback, blocks) => {
 <input type="number" class="custom-system-modifier-priority" value="0" /></td><td>
 <input type="text" class="custom-system-modifier-key" /></td><td><select class="custom-system-modifier-operator">
 <option value="add">+</option><option value="multiply">x</option><option value="subtract">-</option>
-<option value="divide">/</option><option value="set">=</option></select></td><td><textarea class="custom-system-modifier-formula"></textarea></td>
+<option value="divide">/</option><option value="set">=</option><option value="min">min (at most)</option>
+<option value="max">max (at least)</option><option value="clamp">clamp (min,max)</option>
+<option value="append">append</option></select></td>
+<td><textarea class="custom-system-modifier-formula"></textarea></td>
+<td><textarea class="custom-system-modifier-condition"></textarea></td>
+<td><input type="text" class="custom-system-modifier-group" /></td>
+<td><input type="text" class="custom-system-modifier-source" /></td>
 <td class="custom-system-modifier-controls"><a class="custom-system-delete-modifier"><i class="fas fa-trash"></i></a>
 </td></tr>`
                     );
@@ -646,8 +802,26 @@ const modifiers = async (callback, blocks) => {
                     lastRow.before(newRow);
                 });
 
+                // Add modifier group button
+                html.find('.custom-system-modifier-groups #addModifierGroup').on('click', (ev) => {
+                    const lastRow = $(ev.currentTarget).parents('tr');
+
+                    lastRow.before(
+                        $(
+                            `<tr class="custom-system-modifier-group-rule"><td>
+<input type="text" class="custom-system-modifier-group-name" /></td><td>
+<select class="custom-system-modifier-group-stacking"><option value="all">All stack</option>
+<option value="highest">Highest only</option><option value="source">Highest per source</option></select></td><td>
+<input type="number" class="custom-system-modifier-group-min" /></td><td>
+<input type="number" class="custom-system-modifier-group-max" /></td>
+<td class="custom-system-modifier-controls"><a class="custom-system-delete-modifier"><i class="fas fa-trash"></i></a>
+</td></tr>`
+                        )
+                    );
+                });
+
                 // Delete attribute button
-                html.on('click', '.custom-system-modifiers .custom-system-delete-modifier', (ev) => {
+                html.on('click', '.custom-system-delete-modifier', (ev) => {
                     // Get attributes row
                     const target = $(ev.currentTarget);
                     let row = target.parents('tr');
@@ -666,11 +840,143 @@ const modifiers = async (callback, blocks) => {
     modifiersDialog.render(true);
 };
 
+const auras = async (callback, auraList) => {
+    const templatePath = `systems/custom-system-builder/templates/_template/dialogs/auras.html`;
+
+    // Render the dialog's contents
+    let content = await renderTemplate(templatePath, { auras: auraList });
+
+    if (aurasDialog && aurasDialog.rendered) {
+        await aurasDialog.close();
+    }
+
+    // Create the dialog
+    aurasDialog = new Dialog(
+        {
+            title: 'Configure auras',
+            content: content,
+            buttons: {
+                validate: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: 'Save auras',
+                    callback: (html) => {
+                        let newAuras = [];
+
+                        for (let auraElt of html.find('.custom-system-aura')) {
+                            let auraName = $(auraElt).find('.custom-system-aura-name').val().trim();
+                            let auraRadius = Number($(auraElt).find('.custom-system-aura-radius').val());
+
+                            if (auraName === '') {
+                                throw new Error('Name must be entered for each aura');
+                            }
+
+                            if (!(auraRadius >= 0)) {
+                                throw new Error('Radius of aura ' + auraName + ' must be a positive number');
+                            }
+
+                            let auraModifiers = [];
+                            for (let modifierElt of $(auraElt).find('tr.custom-system-modifier')) {
+                                let modifierPriority = $(modifierElt).find('.custom-system-modifier-priority').val();
+                                let modifierKey = $(modifierElt).find('.custom-system-modifier-key').val();
+                                let modifierFormula = $(modifierElt).find('.custom-system-modifier-formula').val();
+
+                                if (modifierKey === '' || modifierFormula === '') {
+                                    throw new Error('Key and Formula must be entered for each modifier of ' + auraName);
+                                }
+
+                                auraModifiers.push({
+                                    priority: Number.isNaN(Number(modifierPriority)) ? 0 : Number(modifierPriority),
+                                    key: modifierKey,
+                                    operator: $(modifierElt).find('.custom-system-modifier-operator').val(),
+                                    formula: modifierFormula,
+                                    condition: $(modifierElt).find('.custom-system-modifier-condition').val().trim(),
+                                    group: $(modifierElt).find('.custom-system-modifier-group').val().trim()
+                                });
+                            }
+
+                            newAuras.push({
+                                name: auraName,
+                                radius: auraRadius,
+                                disposition: $(auraElt).find('.custom-system-aura-disposition').val(),
+                                keyword: $(auraElt).find('.custom-system-aura-keyword').val().trim(),
+                                modifiers: auraModifiers
+                            });
+                        }
+
+                        callback(newAuras);
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: 'Cancel'
+                }
+            },
+            default: 'cancel',
+            render: (html) => {
+                let dialogElt = html.find('.custom-system-auras').parents('.dialog');
+
+                dialogElt.css({ 'max-height': '75%' });
+
+                // Add aura button, rendering an empty aura with the dialog template
+                html.find('#addAura').on('click', async () => {
+                    let newAura = $(
+                        await renderTemplate(templatePath, {
+                            auras: [{ name: '', radius: 0, disposition: 'friendly', keyword: '', modifiers: [] }]
+                        })
+                    ).filter('.custom-system-auras');
+
+                    html.find('.custom-system-auras').append(newAura.children());
+                });
+
+                // Add modifier button
+                html.on('click', '.custom-system-add-aura-modifier', (ev) => {
+                    // Last row contains only the add button
+                    const lastRow = $(ev.currentTarget).parents('tr');
+
+                    // Create new row
+                    const newRow = $(
+                        `<tr class="custom-system-modifier"><td>
+<input type="number" class="custom-system-modifier-priority" value="0" /></td><td>
+<input type="text" class="custom-system-modifier-key" /></td><td><select class="custom-system-modifier-operator">
+<option value="add">+</option><option value="multiply">x</option><option value="subtract">-</option>
+<option value="divide">/</option><option value="set">=</option><option value="min">min (at most)</option>
+<option value="max">max (at least)</option><option value="clamp">clamp (min,max)</option>
+<option value="append">append</option></select></td>
+<td><textarea class="custom-system-modifier-formula"></textarea></td>
+<td><textarea class="custom-system-modifier-condition"></textarea></td>
+<td><input type="text" class="custom-system-modifier-group" /></td>
+<td class="custom-system-modifier-controls"><a class="custom-system-delete-modifier"><i class="fas fa-trash"></i></a>
+</td></tr>`
+                    );
+
+                    // Insert new row before control row
+                    lastRow.before(newRow);
+                });
+
+                html.on('click', '.custom-system-delete-modifier', (ev) => {
+                    $(ev.currentTarget).parents('tr').remove();
+                });
+
+                html.on('click', '.custom-system-delete-aura', (ev) => {
+                    $(ev.currentTarget).parents('.custom-system-aura').remove();
+                });
+
+                html.on('keydown', (event) => {
+                    event.stopPropagation();
+                });
+            }
+        },
+        { height: 'auto' }
+    );
+    aurasDialog.render(true);
+};
+
 export default {
     editTab,
     component,
     attributes,
     attributeBars,
     displaySettings,
-    modifiers
+    modifiers,
+    auras
 };
@@ -1,4 +1,6 @@
 import { CustomActorSheet } from './actor-sheet.js';
+import { TemplateInheritanceError } from '../errors/errors.js';
+import { inheritsFrom, setParentTemplate } from '../template-inheritance.js';
 import templateFunctions from './template-functions.js';
 
 /**
@@ -17,6 +19,10 @@ export class TemplateSheet extends CustomActorSheet {
         // editable, the items array, and the effects array.
         const context = super.getData();
 
+        context.availableParentTemplates = game.actors.filter(
+            (actor) => actor.type === '_template' && actor !== this.actor
+        );
+
         // Prepare character data and items.
         await this._prepareSheetData(context);
 
@@ -34,20 +40,24 @@ export class TemplateSheet extends CustomActorSheet {
         // Edit hidden attributes
         html.find('.custom-system-configure-attributes').click((ev) => {
             // Open the dialog for edition
-            templateFunctions.attributes((newAttributes) => {
-                // This is called on dialog validation
-
-                // Update the actor with new hidden attributes
+            templateFunctions.attributes(
+                (newAttributes) => {
+                    // This is called on dialog validation
+
+                    // Update the actor with new hidden attributes
+                    this.actor
+                        .update({
+                            system: {
+                                hidden: newAttributes
+                            }
+                        })
+                        .then(() => {
+                            this.render(false);
+                        });
+                },
+                this.actor.system.hidden,
                 this.actor
-                    .update({
-                        system: {
-                            hidden: newAttributes
-                        }
-                    })
-                    .then(() => {
-                        this.render(false);
-                    });
-            }, this.actor.system.hidden);
+            );
         });
 
         // Edit attribute bars
@@ -104,36 +114,77 @@ export class TemplateSheet extends CustomActorSheet {
             });
 
             // Open the dialog for edition
-            templateFunctions.modifiers((activeEffects) => {
+            templateFunctions.modifiers(
+                (activeEffects, conditions, modifierGroups) => {
+                    // This is called on dialog validation
+
+                    // Update the actor with new active effects modifiers and modifier group rules
+                    this.actor
+                        .update({
+                            system: {
+                                activeEffects: activeEffects,
+                                modifierGroups: modifierGroups
+                            }
+                        })
+                        .then(() => {
+                            this.render(false);
+                        });
+                },
+                allEffects,
+                this.actor.system.modifierGroups ?? []
+            );
+        });
+
+        // Edit auras
+        html.find('.custom-system-configure-auras').click((ev) => {
+            // Open the dialog for edition
+            templateFunctions.auras((auras) => {
                 // This is called on dialog validation
 
-                // Update the actor with new active effects modifiers
+                // Update the actor with new auras
                 this.actor
                     .update({
                         system: {
-                            activeEffects: activeEffects
+                            auras: auras
                         }
                     })
                     .then(() => {
                         this.render(false);
                     });
-            }, allEffects);
+            }, this.actor.system.auras ?? []);
         });
 
-        // Reload all sheets
-        html.find('.custom-system-reload-all-sheets').click((ev) => {
-            Dialog.confirm({
-                title: 'Reload all character sheets ?',
-                content: '<p>Do you really want to reload all sheets at once ?</p>',
-                yes: () => {
-                    let actors = game.actors.filter((actor) => actor.system.template === this.actor.id);
-                    actors.forEach((actor) => {
-                        actor.reloadTemplate();
-                    });
-                },
-                no: () => {},
-                defaultYes: false
-            });
+        // Parent template selection, checked before saving
+        html.find('.custom-system-parent-template').change(async (ev) => {
+            await setParentTemplate(this.actor, $(ev.currentTarget).val());
+            this.render(false);
+        });
+
+        // Reload all sheets, after showing the changes of each sheet
+        html.find('.custom-system-reload-all-sheets').click(async (ev) => {
+            // Sheets of templates inheriting from this one are reloaded as well
+            let templateIds = game.actors
+                .filter((template) => template.isTemplate && inheritsFrom(template, this.actor))
+                .map((template) => template.id);
+            let actors = game.actors.filter((actor) => templateIds.includes(actor.system.template));
+
+            let diffs;
+            try {
+                diffs = actors.map((actor) => actor.getTemplateReloadDiff());
+            } catch (err) {
+                if (err instanceof TemplateInheritanceError) {
+                    ui.notifications.error(err.message);
+                    return;
+                }
+
+                throw err;
+            }
+
+            if (actors.length > 0 && (await CONFIG.Actor.documentClass.confirmTemplateReload(diffs))) {
+                for (let actor of actors) {
+                    await actor.reloadTemplate(null, { confirm: false });
+                }
+            }
         });
 
         html.on('dragenter', (event) => {
@@ -0,0 +1,292 @@
+import { TemplateInheritanceError } from './errors/errors.js';
+
+/**
+ * Gets the chain of parent templates of a template, starting with the template itself
+ * @param {CustomActor|CustomItem} template The template
+ * @param {string|null} [parentTemplateId] Parent template id to use instead of the stored one, to check a new parent
+ * @return {Array<CustomActor|CustomItem>} The template, its parent, the parent of its parent...
+ * @throws {TemplateInheritanceError} If a parent template does not exist or if templates inherit from each other
+ */
+export const getTemplateChain = (template, parentTemplateId = template.system.parentTemplate) => {
+    const collection = template.documentName === 'Actor' ? game.actors : game.items;
+
+    let chain = [template];
+    while (parentTemplateId) {
+        let parent = collection.get(parentTemplateId);
+
+        if (!parent || parent.type !== template.type) {
+            throw new TemplateInheritanceError(
+                'Parent template ' + parentTemplateId + ' of ' + chain.at(-1).name + ' not found',
+                chain.map((chainTemplate) => chainTemplate.name)
+            );
+        }
+
+        if (chain.includes(parent)) {
+            let templateNames = [...chain, parent].map((chainTemplate) => chainTemplate.name);
+            throw new TemplateInheritanceError(
+                'Templates inherit from each other : ' + templateNames.join(' → '),
+                templateNames
+            );
+        }
+
+        chain.push(parent);
+        parentTemplateId = parent.system.parentTemplate;
+    }
+
+    return chain;
+};
+
+/**
+ * Resolves the structure of a template merged with its parent templates.
+ * Components of the template replace the parent components with the same key, and the others are added after the
+ * parent components. Hidden attributes, modifier groups and auras are replaced by name, attribute bars and active
+ * effects by key. Display settings are not inherited.
+ * @param {CustomActor|CustomItem} template The template
+ * @return {Object} The merged header, body, hidden, attributeBar, activeEffects, modifierGroups, auras and display
+ * @throws {TemplateInheritanceError} If a parent template does not exist or if templates inherit from each other
+ */
+export const resolveTemplateData = (template) => {
+    let [ownTemplate, ...ancestors] = getTemplateChain(template);
+    let merged = foundry.utils.deepClone(pickTemplateData(ownTemplate.system));
+
+    for (let ancestor of ancestors) {
+        let parentData = foundry.utils.deepClone(pickTemplateData(ancestor.system));
+
+        merged = {
+            ...merged,
+            header: mergePanels(parentData.header, merged.header),
+            body: mergePanels(parentData.body, merged.body),
+            hidden: mergeByName(parentData.hidden, merged.hidden),
+            attributeBar: { ...(parentData.attributeBar ?? {}), ...merged.attributeBar },
+            activeEffects: { ...(parentData.activeEffects ?? {}), ...merged.activeEffects },
+            modifierGroups: mergeByName(parentData.modifierGroups, merged.modifierGroups),
+            auras: mergeByName(parentData.auras, merged.auras)
+        };
+    }
+
+    return merged;
+};
+
+/**
+ * Lists the keys of every component of a panel, including the components of its sub-containers
+ * @param {Object} component The serialized component
+ * @return {Array<string>}
+ */
+export const getComponentKeys = (component) => {
+    let keys = component?.key ? [component.key] : [];
+
+    for (let child of (component?.contents ?? []).flat()) {
+        keys.push(...getComponentKeys(child));
+    }
+
+    return keys;
+};
+
+/**
+ * Maps the keys of every component of a panel, including the components of its sub-containers, to their type
+ * @param {Object} component The serialized component
+ * @param {Object<string>} [types={}] The map to complete
+ * @return {Object<string>} The component types, by key
+ */
+export const getComponentTypes = (component, types = {}) => {
+    if (component?.key) {
+        types[component.key] = component.type;
+    }
+
+    for (let child of (component?.contents ?? []).flat()) {
+        getComponentTypes(child, types);
+    }
+
+    return types;
+};
+
+/**
+ * Lists the keys a template inherits from its parent templates : the hidden attributes and the component keys of the
+ * merged structure of its parent
+ * @param {CustomActor|CustomItem} template The template
+ * @return {Set<string>} The inherited keys. Templates without parent, or with unresolvable parents, inherit no keys.
+ */
+export const getInheritedKeys = (template) => {
+    let keys = new Set();
+    let parent;
+
+    try {
+        parent = getTemplateChain(template)[1];
+    } catch (err) {
+        if (err instanceof TemplateInheritanceError) {
+            return keys;
+        }
+
+        throw err;
+    }
+
+    if (parent) {
+        let parentData = resolveTemplateData(parent);
+
+        for (let key of [
+            ...(parentData.hidden ?? []).map((hiddenProp) => hiddenProp.name),
+            ...getComponentKeys(parentData.header),
+            ...getComponentKeys(parentData.body)
+        ]) {
+            keys.add(key);
+        }
+    }
+
+    return keys;
+};
+
+/**
+ * Sets the parent template of a template, after checking that the templates do not inherit from each other
+ * @param {CustomActor|CustomItem} template The template
+ * @param {string|null} parentTemplateId The parent template id. Empty ids remove the parent template.
+ * @return {Promise<boolean>} If the parent template was set. Errors are notified to the user.
+ */
+export const setParentTemplate = async (template, parentTemplateId) => {
+    try {
+        getTemplateChain(template, parentTemplateId || null);
+    } catch (err) {
+        if (err instanceof TemplateInheritanceError) {
+            ui.notifications.error(err.message);
+            return false;
+        }
+
+        throw err;
+    }
+
+    await template.update({ 'system.parentTemplate': parentTemplateId || null });
+    return true;
+};
+
+/**
+ * Checks if a template inherits from another template, directly or through its parent templates.
+ * Templates inherit from themselves.
+ * @param {CustomActor|CustomItem} template The template
+ * @param {CustomActor|CustomItem} ancestor The possible ancestor
+ * @return {boolean}
+ */
+export const inheritsFrom = (template, ancestor) => {
+    try {
+        return getTemplateChain(template).includes(ancestor);
+    } catch (err) {
+        if (err instanceof TemplateInheritanceError) {
+            return false;
+        }
+
+        throw err;
+    }
+};
+
+/**
+ * Picks the inherited fields of template system data
+ * @param {Object} system
+ * @return {Object}
+ * @ignore
+ */
+const pickTemplateData = (system) => {
+    let { header, body, hidden, attributeBar, activeEffects, modifierGroups, auras, display } = system;
+
+    return { header, body, hidden, attributeBar, activeEffects, modifierGroups, auras, display };
+};
+
+/**
+ * Merges the components of a panel in the components of its parent panel
+ * @param {Object} [parentPanel] The serialized parent panel, modified in place. Missing parent panels give the panel.
+ * @param {Object} panel The serialized panel
+ * @return {Object} The merged panel
+ * @ignore
+ */
+const mergePanels = (parentPanel, panel) => {
+    if (!parentPanel) {
+        return panel;
+    }
+
+    parentPanel.contents ??= [];
+
+    for (let component of panel?.contents ?? []) {
+        if (!mergeComponent(parentPanel, component)) {
+            parentPanel.contents.push(component);
+        }
+    }
+
+    return parentPanel;
+};
+
+/**
+ * Merges a component in a parent panel : a keyed component replaces the parent component with the same key.
+ * Other containers can wrap overrides of parent components, which replace the parent components and are taken out
+ * of the container, so that the container only keeps its new components.
+ * @param {Object} parentPanel The serialized parent panel, modified in place
+ * @param {Object} component The serialized component, modified in place
+ * @return {boolean} If the component was fully merged, and has no new components left to add to the parent panel
+ * @ignore
+ */
+const mergeComponent = (parentPanel, component) => {
+    if (component?.key && replaceComponent(parentPanel, component)) {
+        return true;
+    }
+
+    if (!Array.isArray(component?.contents)) {
+        return false;
+    }
+
+    let hasMergedChildren = false;
+    const mergeChild = (child) => {
+        let merged = mergeComponent(parentPanel, child);
+        hasMergedChildren ||= merged;
+
+        return merged;
+    };
+
+    component.contents = component.contents
+        .map((child) => {
+            // Tables hold their components in rows, merged cells are emptied to keep the other cells in place
+            if (Array.isArray(child)) {
+                return child.map((cell) => (mergeChild(cell) ? null : cell));
+            }
+
+            return mergeChild(child) ? undefined : child;
+        })
+        .filter((child) => child !== undefined);
+
+    return !component.key && hasMergedChildren && component.contents.flat().every((child) => !child);
+};
+
+/**
+ * Replaces the component with the same key as a component in a container or its sub-containers
+ * @param {Object} container The serialized container, modified in place
+ * @param {Object} component The serialized replacing component
+ * @return {boolean} If a component was replaced
+ * @ignore
+ */
+const replaceComponent = (container, component) => {
+    let contents = container?.contents ?? [];
+
+    for (let i = 0; i < contents.length; i++) {
+        // Tables hold their components in rows
+        if (Array.isArray(contents[i])) {
+            if (replaceComponent({ contents: contents[i] }, component)) {
+                return true;
+            }
+        } else if (contents[i]?.key === component.key) {
+            contents[i] = component;
+            return true;
+        } else if (replaceComponent(contents[i], component)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Merges two lists of named elements, the elements of the second list replacing the ones with the same name
+ * @param {Array<{name: string}>} [parentList=[]]
+ * @param {Array<{name: string}>} [list=[]]
+ * @return {Array<{name: string}>}
+ * @ignore
+ */
+const mergeByName = (parentList = [], list = []) => {
+    let names = new Set((list ?? []).map((element) => element.name));
+
+    return [...(parentList ?? []).filter((element) => !names.has(element.name)), ...(list ?? [])];
+};
@@ -0,0 +1,306 @@
+import Formula from './formulas/Formula.js';
+import { TemplateInheritanceError } from './errors/errors.js';
+import { resolveTemplateData } from './template-inheritance.js';
+
+/**
+ * Component types storing data entered on the sheets. Other components are layout or computed.
+ * @type {Array<string>}
+ * @ignore
+ */
+const DATA_FIELD_TYPES = ['textField', 'numberField', 'checkbox', 'select', 'textArea'];
+
+/**
+ * Lists the data fields of a character structure : the input components, and the input columns of dynamic tables
+ * with a key of the form table.column
+ * @param {Object} structure The structure, holding header and body
+ * @return {Array<{key: string, label: string, type: string, table: string|null}>}
+ */
+export const getTemplateFields = (structure) => {
+    let fields = [];
+
+    collectFields(structure.header, fields);
+    collectFields(structure.body, fields);
+
+    return fields;
+};
+
+/**
+ * Matches fields of a previous template with the fields of a new template, by key or by label.
+ * Keys and labels are compared ignoring case, spaces and punctuation. Table columns only match table columns.
+ * @param {Array<Object>} previousFields The previous fields, from {@link getTemplateFields}
+ * @param {Array<Object>} fields The new fields, from {@link getTemplateFields}
+ * @return {Object<string>} The new field keys, by previous field key. Unmatched fields are not set.
+ */
+export const matchTemplateFields = (previousFields, fields) => {
+    let matches = {};
+
+    for (let previousField of previousFields) {
+        let candidates = fields.filter((field) => Boolean(field.table) === Boolean(previousField.table));
+        let previousName = normalizeName(getFieldName(previousField));
+        let previousLabel = normalizeName(previousField.label);
+
+        let match =
+            candidates.find((field) => field.key === previousField.key) ??
+            candidates.find((field) => normalizeName(getFieldName(field)) === previousName) ??
+            candidates.find((field) => previousLabel && normalizeName(field.label) === previousLabel);
+
+        if (match) {
+            matches[previousField.key] = match.key;
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Switches a character to another template. If data would be lost, asks the user how to map it first.
+ * Previous fields are matched with the new fields by key or by label, and can be mapped onto any field of the new
+ * template, optionally transformed with a formula using the previous value as <code>value</code>.
+ * @param {CustomActor} actor The character
+ * @param {string} templateId The new template id
+ * @return {Promise<boolean>} If the template was switched
+ */
+export const switchTemplate = async (actor, templateId) => {
+    const template = game.actors.get(templateId);
+
+    if (!template) {
+        ui.notifications.error('Template ' + templateId + ' not found');
+        return false;
+    }
+
+    let fields;
+    let removedKeys;
+    try {
+        fields = getTemplateFields(resolveTemplateData(template));
+        removedKeys = new Set(actor.getTemplateReloadDiff(templateId).removed.map(({ key }) => key));
+    } catch (err) {
+        if (err instanceof TemplateInheritanceError) {
+            ui.notifications.error(err.message);
+            return false;
+        }
+
+        throw err;
+    }
+
+    let fieldKeys = new Set(fields.map((field) => field.key));
+
+    // Only fields holding data and missing from the new template are lost
+    let lostFields = getTemplateFields(actor.system).filter((field) =>
+        field.table
+            ? !fieldKeys.has(field.key) && getTableRows(actor, field.table).length > 0
+            : removedKeys.has(field.key)
+    );
+
+    if (lostFields.length === 0) {
+        return actor.reloadTemplate(templateId);
+    }
+
+    let matches = matchTemplateFields(lostFields, fields);
+
+    let content = await renderTemplate('systems/custom-system-builder/templates/actor/dialogs/template-mapping.html', {
+        template: template.name,
+        lostFields: lostFields.map((field) => ({
+            ...field,
+            preview: field.table
+                ? getTableRows(actor, field.table).length + ' row(s)'
+                : String(actor.system.props[field.key] ?? ''),
+            match: matches[field.key] ?? '',
+            targets: fields.filter((target) => Boolean(target.table) === Boolean(field.table))
+        }))
+    });
+
+    let mappedProps = await new Promise((resolve) => {
+        new Dialog({
+            title: 'Map fields to the new template',
+            content: content,
+            buttons: {
+                validate: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: 'Switch template',
+                    callback: (html) => {
+                        let mappings = [];
+
+                        html.find('.custom-system-field-mapping').each((index, row) => {
+                            let to = $(row).find('.custom-system-field-mapping-target').val();
+
+                            if (to) {
+                                mappings.push({
+                                    from: $(row).data('key'),
+                                    to: to,
+                                    transform: $(row).find('.custom-system-field-mapping-transform').val().trim()
+                                });
+                            }
+                        });
+
+                        try {
+                            resolve(mapProps(actor, mappings));
+                        } catch (err) {
+                            ui.notifications.error(err.message);
+                            resolve(null);
+                        }
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: 'Cancel',
+                    callback: () => resolve(null)
+                }
+            },
+            default: 'validate',
+            close: () => resolve(null)
+        }).render(true);
+    });
+
+    // The mapping dialog replaces the reload confirmation
+    return mappedProps ? actor.reloadTemplate(templateId, { confirm: false, mappedProps: mappedProps }) : false;
+};
+
+/**
+ * Collects the data fields of a component and its sub-components
+ * @param {Object} component The serialized component
+ * @param {Array<Object>} fields The fields list to complete
+ * @ignore
+ */
+const collectFields = (component, fields) => {
+    if (!component) {
+        return;
+    }
+
+    if (component.type === 'dynamicTable') {
+        for (let column of component.rowLayout ?? []) {
+            if (column.key && DATA_FIELD_TYPES.includes(column.type)) {
+                fields.push({
+                    key: component.key + '.' + column.key,
+                    label: column.colName || column.label || column.key,
+                    type: column.type,
+                    table: component.key
+                });
+            }
+        }
+
+        return;
+    }
+
+    if (component.key && DATA_FIELD_TYPES.includes(component.type)) {
+        fields.push({
+            key: component.key,
+            label: component.label || component.key,
+            type: component.type,
+            table: null
+        });
+    }
+
+    for (let child of (component.contents ?? []).flat()) {
+        collectFields(child, fields);
+    }
+};
+
+/**
+ * Builds the props of the new template from the mappings chosen by the user.
+ * Mapped table columns are copied row by row, deleted rows excepted.
+ * @param {CustomActor} actor The character
+ * @param {Array<{from: string, to: string, transform: string}>} mappings
+ * @return {Object} The mapped props
+ * @ignore
+ */
+const mapProps = (actor, mappings) => {
+    let props = {};
+
+    for (let { from, to, transform } of mappings) {
+        let fromField = from.split('.');
+        let toField = to.split('.');
+
+        if (fromField.length === 2 && toField.length === 2) {
+            let [fromTable, fromColumn] = fromField;
+            let [toTable, toColumn] = toField;
+
+            for (let [rowIndex, row] of getTableRows(actor, fromTable)) {
+                // Rows are created in the new table when missing
+                if (!actor.system.props[toTable]?.[rowIndex] && !props[toTable]?.[rowIndex]) {
+                    foundry.utils.setProperty(props, toTable + '.' + rowIndex + '.deleted', false);
+                }
+
+                foundry.utils.setProperty(
+                    props,
+                    toTable + '.' + rowIndex + '.' + toColumn,
+                    transformValue(actor, row[fromColumn], transform)
+                );
+            }
+        } else {
+            props[to] = transformValue(actor, actor.system.props[from], transform);
+        }
+    }
+
+    return props;
+};
+
+/**
+ * Lists the rows of a dynamic table of a character, deleted rows excepted
+ * @param {CustomActor} actor
+ * @param {string} tableKey
+ * @return {Array<[string, Object]>} The rows, with their index
+ * @ignore
+ */
+const getTableRows = (actor, tableKey) => {
+    let table = actor.system.props[tableKey];
+
+    if (!table || typeof table !== 'object') {
+        return [];
+    }
+
+    return Object.entries(table).filter(([, row]) => row && typeof row === 'object' && !row.deleted);
+};
+
+/**
+ * Transforms a mapped value with a formula, computed with the character props and the previous value as value
+ * @param {CustomActor} actor
+ * @param {*} value The previous value
+ * @param {string} [transform] The formula. Empty formulas keep the value.
+ * @return {*}
+ * @throws {Error} If the formula can not be computed
+ * @ignore
+ */
+const transformValue = (actor, value, transform) => {
+    if (!transform) {
+        return value;
+    }
+
+    let result;
+    try {
+        result = new Formula(transform).computeStatic(
+            { ...actor.system.props, value: value },
+            { defaultValue: '', actor: actor }
+        ).result;
+    } catch (err) {
+        throw new Error('Transform formula ' + transform + ' could not be computed : ' + err.message);
+    }
+
+    // Invalid formulas are computed as errors
+    if (result === 'ERROR') {
+        throw new Error('Transform formula ' + transform + ' could not be computed');
+    }
+
+    return result;
+};
+
+/**
+ * Gets the name of a field, without its table
+ * @param {{key: string}} field
+ * @return {string}
+ * @ignore
+ */
+const getFieldName = (field) => {
+    return field.key.split('.').at(-1);
+};
+
+/**
+ * Normalizes a field name or label for comparison
+ * @param {string} [name]
+ * @return {string}
+ * @ignore
+ */
+const normalizeName = (name) => {
+    return String(name ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+};
@@ -27,7 +27,7 @@ export const postCustomSheetRoll = async (messageText, alternative = false) => {
 
 /**
  * Posts a chat message with a computed phrase data
- * @param {{buildPhrase: string, values: {}}} textContent
+ * @param {{buildPhrase: string, values: {}, replayData: Object|null, followUps: Array, localVars: Object, reference: string|null}} textContent
  * @param msgOptions
  * @param rollMode
  * @param create
@@ -105,13 +105,33 @@ export const postAugmentedChatMessage = async (textContent, msgOptions = {}, { r
         }
     }
 
+    // Phrases computed with a dice source can be replayed to verify their results
+    let flags = { 'custom-system-builder': {} };
+    if (textContent.replayData) {
+        flags['custom-system-builder'].replay = textContent.replayData;
+    }
+
+    // Follow-up rolls are rendered as buttons, and the message keeps what is needed to compute them
+    if (textContent.followUps?.length > 0 && !phrase.startsWith('/')) {
+        phrase += await renderTemplate(`systems/custom-system-builder/templates/chat/chat-follow-ups.html`, {
+            followUps: textContent.followUps
+        });
+
+        flags['custom-system-builder'].chain = {
+            followUps: textContent.followUps,
+            localVars: textContent.localVars,
+            reference: textContent.reference
+        };
+    }
+
     let chatData = foundry.utils.mergeObject(
         msgOptions,
         foundry.utils.mergeObject(
             {
                 content: phrase,
                 whisper,
-                sound: CONFIG.sounds.dice
+                sound: CONFIG.sounds.dice,
+                flags
             },
             chatRollData
         )
@@ -209,11 +229,31 @@ export const versionCompare = (v1, v2, options) => {
 };
 
 /**
+ * Applies modifiers to a value, sorted by priority then by operator.
+ * Additions and subtractions belonging to a group follow the rules of the group : they can stack, keep only the
+ * highest modifier, or keep only the highest modifier of each source, and their total can be capped.
+ * @param {*} value The value to modify
+ * @param {Array<Object>} [modifiers=[]] The modifiers
+ * @param {Array<{name: string, stacking: string, min: number|string|null, max: number|string|null}>} [groups=[]] The modifier group rules
+ * @param {Array<Object>|null} [steps=null] If set, each applied modifier is pushed to this array, with its source, operator, group, value and the resulting value
+ * @return {*} The modified value
  * @ignore
  */
-export const applyModifiers = (value, modifiers = []) => {
-    modifiers = modifiers.sort((mod1, mod2) => {
-        const operatorOrder = ['set', 'multiply', 'divide', 'add', 'subtract'];
+export const applyModifiers = (value, modifiers = [], groups = [], steps = null) => {
+    modifiers = applyModifierGroups(modifiers, groups).sort((mod1, mod2) => {
+        const operatorOrder = [
+            'set',
+            'multiply',
+            'divide',
+            'add',
+            'subtract',
+            'append',
+            'downgrade',
+            'min',
+            'upgrade',
+            'max',
+            'clamp'
+        ];
 
         let sortIndex = mod1.priority - mod2.priority;
 
@@ -240,16 +280,136 @@ export const applyModifiers = (value, modifiers = []) => {
             case 'subtract':
                 value = Number(value) - Number(modifier.value);
                 break;
+            // Appended texts are added to comma separated lists, like keywords
+            case 'append':
+                if (String(modifier.value) !== '') {
+                    value = String(value ?? '') !== '' ? String(value) + ', ' + modifier.value : String(modifier.value);
+                }
+                break;
+            // Upgrade and downgrade keep the value above or below the modifier, like in active effects.
+            // Max and min work the same way, like Math.max and Math.min : max sets a floor, min sets a ceiling.
+            case 'upgrade':
+            case 'max':
+                value = Math.max(Number(value), Number(modifier.value));
+                break;
+            case 'downgrade':
+            case 'min':
+                value = Math.min(Number(value), Number(modifier.value));
+                break;
+            // Clamp values are written min,max
+            case 'clamp': {
+                let [min, max] = String(modifier.value)
+                    .replaceAll(/[[\]\s]/g, '')
+                    .split(/[,;]/)
+                    .map((bound) => (bound === '' ? NaN : Number(bound)));
+
+                value = Number(value);
+                if (!isNaN(min)) {
+                    value = Math.max(value, min);
+                }
+                if (!isNaN(max)) {
+                    value = Math.min(value, max);
+                }
+                break;
+            }
             case 'add':
             default:
                 value = Number(value) + Number(modifier.value);
                 break;
         }
+
+        steps?.push({
+            source: modifier.modifiers
+                ? modifier.modifiers.map((groupModifier) => groupModifier.source).join(', ')
+                : modifier.source,
+            operator: modifier.operator,
+            group: modifier.group,
+            value: String(modifier.value),
+            result: value
+        });
     }
 
     return value;
 };
 
+/**
+ * Replaces the additions and subtractions of each modifier group by a single addition, following the group rules.
+ * Modifiers without group, or with other operators, are kept as is.
+ * @param {Array<Object>} modifiers The modifiers
+ * @param {Array<{name: string, stacking: string, min: number|string|null, max: number|string|null}>} groups The modifier group rules
+ * @return {Array<Object>} The modifiers to apply. Group additions hold the modifiers they replace.
+ * @ignore
+ */
+const applyModifierGroups = (modifiers, groups) => {
+    let groupedModifiers = {};
+    let result = [];
+
+    for (let modifier of modifiers) {
+        let group = groups.find((group) => group.name && group.name === modifier.group);
+
+        if (group && ['add', 'subtract'].includes(modifier.operator)) {
+            groupedModifiers[group.name] = [...(groupedModifiers[group.name] ?? []), modifier];
+        } else {
+            result.push(modifier);
+        }
+    }
+
+    const getContribution = (modifier) => (modifier.operator === 'subtract' ? -1 : 1) * Number(modifier.value);
+    const getHighest = (candidates) =>
+        candidates.reduce((highest, modifier) =>
+            getContribution(modifier) > getContribution(highest) ? modifier : highest
+        );
+    const toBound = (bound) => (bound === null || bound === undefined || bound === '' ? NaN : Number(bound));
+
+    for (let group of groups) {
+        let groupModifiers = groupedModifiers[group.name];
+
+        if (!groupModifiers) {
+            continue;
+        }
+
+        let appliedModifiers;
+        switch (group.stacking) {
+            case 'highest':
+                appliedModifiers = [getHighest(groupModifiers)];
+                break;
+            case 'source': {
+                let modifiersBySource = {};
+                for (let modifier of groupModifiers) {
+                    let source = modifier.source ?? '';
+                    modifiersBySource[source] = [...(modifiersBySource[source] ?? []), modifier];
+                }
+
+                appliedModifiers = Object.values(modifiersBySource).map(getHighest);
+                break;
+            }
+            default:
+                appliedModifiers = groupModifiers;
+                break;
+        }
+
+        let total = appliedModifiers.reduce((sum, modifier) => sum + getContribution(modifier), 0);
+
+        if (!isNaN(toBound(group.min))) {
+            total = Math.max(total, toBound(group.min));
+        }
+        if (!isNaN(toBound(group.max))) {
+            total = Math.min(total, toBound(group.max));
+        }
+
+        result.push({
+            priority: Math.min(...groupModifiers.map((modifier) => modifier.priority)),
+            key: groupModifiers[0].key,
+            operator: 'add',
+            group: group.name,
+            value: total,
+            modifiers: appliedModifiers
+        });
+    }
+
+    return result;
+};
+
 /**
  * @ignore
  */
@@ -261,3 +421,28 @@ export const removeEmpty = (obj) => {
     });
     return newObj;
 };
+
+/**
+ * Creates a seeded random number generator, always giving the same sequence for the same seed (mulberry32)
+ * @param {number|string} seed The seed. Text seeds are hashed to a number.
+ * @returns {function(): number} A function returning a number between 0 (included) and 1 (excluded)
+ * @ignore
+ */
+export const createSeededRandom = (seed) => {
+    let state = 0;
+    if (typeof seed === 'number') {
+        state = seed >>> 0;
+    } else {
+        for (let char of String(seed)) {
+            state = (Math.imul(state, 31) + char.codePointAt(0)) >>> 0;
+        }
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
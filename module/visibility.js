@@ -0,0 +1,50 @@
+import { getBaseRadius } from './canvas.js';
+
+/**
+ * Number of points sampled on the edge of a token base, in addition to its center
+ * @type {number}
+ * @ignore
+ */
+const EDGE_SAMPLES = 8;
+
+/**
+ * Computes the visible part of a token from another token, as the ratio of sample points of its base which can be
+ * reached by a line of sight from the token center without crossing a wall
+ * @param {Token} token The looking token
+ * @param {Token} target The looked at token
+ * @return {number} The visible ratio, between 0 and 1
+ */
+export const getVisibilityRatio = (token, target) => {
+    if (token === target) {
+        return 1;
+    }
+
+    let samples = getSamplePoints(target);
+    let visibleSamples = samples.filter(
+        (point) =>
+            !CONFIG.Canvas.polygonBackends.sight.testCollision(token.center, point, { type: 'sight', mode: 'any' })
+    );
+
+    return visibleSamples.length / samples.length;
+};
+
+/**
+ * Gets the points of a token base tested by the line of sight : the center, and points evenly spread on the base edge
+ * @param {Token} token
+ * @return {Array<{x: number, y: number}>}
+ * @ignore
+ */
+const getSamplePoints = (token) => {
+    let center = token.center;
+
+    // Points are slightly inside the base, so that a wall touching the base does not hide it
+    let radius = getBaseRadius(token) * 0.9;
+
+    let points = [{ x: center.x, y: center.y }];
+    for (let i = 0; i < EDGE_SAMPLES; i++) {
+        let angle = (2 * Math.PI * i) / EDGE_SAMPLES;
+        points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+    }
+
+    return points;
+};
@@ -127,9 +127,71 @@ const hideRollData = (roll) => {
     roll.find('span').text('?');
 };
 
+/**
+ * Rolls a follow-up of a chat message, with the local variables and reference of the message phrase.
+ * Follow-ups are rolled by the actor of the message if the user owns it. Otherwise, like for a damage roll following
+ * an attack of a GM-controlled character, they are rolled by the user's own character, which must have the roll.
+ * The new message is linked to the previous steps of the chain in its own flags.
+ * @param ev The click event on the follow-up button
+ */
+async function rollFollowUp(ev) {
+    ev.preventDefault();
+
+    const message = game.messages.get($(ev.currentTarget).parents('.chat-message').data('message-id'));
+    const chain = message?.getFlag('custom-system-builder', 'chain');
+    const followUp = chain?.followUps?.[$(ev.currentTarget).data('follow-up')];
+
+    if (!followUp) {
+        return;
+    }
+
+    const speakerActor = ChatMessage.getSpeakerActor(message.speaker);
+    const actor = speakerActor?.isOwner ? speakerActor : game.user.character;
+
+    if (!actor?.roll) {
+        ui.notifications.error(
+            speakerActor
+                ? 'You do not have permission to roll for ' + speakerActor.name + ', and have no character to roll with'
+                : 'The actor of this roll can not be found'
+        );
+        return;
+    }
+
+    let phrase;
+    try {
+        phrase = await actor.roll(followUp.rollKey, {
+            postMessage: false,
+            reference: chain.reference,
+            localVars: chain.localVars
+        });
+    } catch (err) {
+        ui.notifications.error(err.message);
+        return;
+    }
+
+    // The roll was cancelled by the user
+    if (!phrase) {
+        return;
+    }
+
+    await phrase.postMessage({
+        speaker: actor === speakerActor ? message.speaker : ChatMessage.getSpeaker({ actor: actor }),
+        flags: {
+            'custom-system-builder': {
+                chain: {
+                    parentMessageId: message.id,
+                    rootMessageId: chain.rootMessageId ?? message.id,
+                    step: (chain.step ?? 0) + 1
+                }
+            }
+        }
+    });
+}
+
 $(() => {
     // Adding the handler on every roll in the page, now and future
     $(document).on('click', '.custom-system-roll', expandMfsRoll);
+    $(document).on('click', '.custom-system-follow-up', rollFollowUp);
 });
 
 // When rendering a chat message, applying roll mode
@@ -159,27 +221,30 @@ Hooks.on('renderChatMessage', (message, elt) => {
 
 Hooks.on('preCreateChatMessage', (document, data, options, userId) => {
     data.content = String(data.content) ?? '';
-    // Handling actor references. They are @{<actor_name OR selected OR target>|<prop>}
+    // Handling actor references. They are @{<actor_name OR uuid OR token_id OR selected OR target OR targets>|<prop>}
     let messageReferences = data.content.matchAll(/@{(.*?)\|(.*?)}/g);
     let reference = messageReferences.next();
 
     while (!reference.done) {
-        let [fullRef, actorName, refProp] = reference.value;
+        let [fullRef, actorReference, refProp] = reference.value;
 
-        let actor = null;
+        let actors = [];
 
-        // Recovering the right actor
-        if (actorName === 'selected') {
-            actor = canvas.tokens.controlled[0]?.actor ?? game.user.character;
-        } else if (actorName === 'target') {
-            actor = game.user.targets.values().next().value?.actor;
-        } else {
-            actor = game.actors.filter((e) => e.name === actorName)[0];
+        // Recovering the right actors
+        try {
+            actors = CONFIG.Actor.documentClass.resolveReferences(actorReference);
+        } catch (err) {
+            ui.notifications.error(err.message);
         }
 
-        // If actor was found
-        if (actor && actor.testUserPermission(game.user, CONST.DOCUMENT_PERMISSION_LEVELS.LIMITED)) {
-            let refPropSplitted = refProp.split('.');
+        let values = [];
+        for (let actor of actors) {
+            if (!actor.testUserPermission(game.user, CONST.DOCUMENT_PERMISSION_LEVELS.LIMITED)) {
+                continue;
+            }
+
+            let actorRefProp = refProp;
+            let refPropSplitted = actorRefProp.split('.');
             let [filterMatch, parentProp, filterProp, filterValue] =
                 refPropSplitted.shift().match(/^([a-zA-Z0-9_]+)\(([a-zA-Z0-9_]+)=(.+)\)$/) ?? [];
 
@@ -188,17 +253,22 @@ Hooks.on('preCreateChatMessage', (document, data, options, userId) => {
 
                 let index = Object.keys(parent).filter((key) => parent[key][filterProp] === filterValue)[0];
 
-                refProp = parentProp + '.' + index + '.' + refPropSplitted.join('.');
+                actorRefProp = parentProp + '.' + index + '.' + refPropSplitted.join('.');
             }
 
             // Recovering value from data
-            let value = foundry.utils.getProperty(actor.getRollData(), refProp);
+            let value = foundry.utils.getProperty(actor.getRollData(), actorRefProp);
 
             if (value) {
-                document.content = document.content.replace(fullRef, () => value);
+                values.push(value);
             }
         }
 
+        // Each target gives its own value
+        if (values.length > 0) {
+            document.content = document.content.replace(fullRef, () => values.join(', '));
+        }
+
         reference = messageReferences.next();
     }
 
@@ -0,0 +1,37 @@
+/**
+ * Regression examples of formulas, computed with the headless engine against sample props.
+ * Run with node --test from the system folder.
+ */
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { setupHeadlessEngine, ComputablePhrase } from '../../module/formulas/headless.js';
+
+/**
+ * Examples, holding the shared props and each example phrase, props overrides, computation options, engine options
+ * and expected result
+ * @type {{props: Object, examples: Array<{name: string, phrase: string, props?: Object, options?: Object, engine?: Object, expected: string}>}}
+ */
+const { props, examples } = JSON.parse(readFileSync(new URL('./examples.json', import.meta.url), 'utf-8'));
+
+describe('Formula examples', () => {
+    before(() => {
+        // Computation traces are only useful when debugging in Foundry
+        console.debug = () => {};
+        console.log = () => {};
+    });
+
+    for (let example of examples) {
+        it(example.name, async () => {
+            await setupHeadlessEngine({ seed: 1, ...example.engine });
+
+            let phrase = await ComputablePhrase.computeMessage(
+                example.phrase,
+                { ...props, ...example.props },
+                example.options ?? {}
+            );
+
+            assert.equal(phrase.result, example.expected);
+        });
+    }
+});
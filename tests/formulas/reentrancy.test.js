@@ -0,0 +1,101 @@
+/**
+ * Checks that formulas computed at the same time keep their own props, reference, default value and functions.
+ * Run with node --test from the system folder.
+ */
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHeadlessEngine, ComputablePhrase, Formula, HeadlessAdapter } from '../../module/formulas/headless.js';
+
+/**
+ * Headless adapter waiting before each roll, so that the computations started together interleave
+ * like rolls waiting for Foundry dice
+ */
+class DelayedRollAdapter extends HeadlessAdapter {
+    _rollCount = 0;
+
+    async evaluateRoll(expression, diceModifier = '', diceSource = null) {
+        // Delays vary from one roll to the next, so that computations do not resume in their starting order
+        let delay = (this._rollCount++ * 7) % 5;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        return super.evaluateRoll(expression, diceModifier, diceSource);
+    }
+}
+
+/**
+ * Props of the nth computation
+ * @param {number} n
+ * @return {Object}
+ */
+const getProps = (n) => ({
+    S: n,
+    weapons: {
+        0: { deleted: false, name: 'Weapon ' + n }
+    }
+});
+
+describe('Interleaved formula computations', () => {
+    before(async () => {
+        // Computation traces are only useful when debugging in Foundry
+        console.debug = () => {};
+        console.log = () => {};
+
+        await setupHeadlessEngine();
+        Formula.useAdapter(new DelayedRollAdapter({ seed: 1, actors: { other: { system: { props: { S: 50 } } } } }));
+    });
+
+    it('keep their own props, reference, default value and user inputs', async () => {
+        let phrase =
+            "${s:=ref('S')}$ ${[1d1]}$ ${sameRow('name')}$ ${missing}$ ${[1d1]}$ ${s + ?{bonus:number|0}}$ " +
+            "${sameRow('name')}$";
+
+        let computations = [];
+        for (let n = 1; n <= 12; n++) {
+            computations.push(
+                ComputablePhrase.computeMessage(phrase, getProps(n), {
+                    reference: 'weapons.0',
+                    defaultValue: n * 100,
+                    userInputs: { bonus: n }
+                })
+            );
+        }
+
+        let results = await Promise.all(computations);
+
+        results.forEach((computedPhrase, index) => {
+            let n = index + 1;
+            assert.equal(
+                computedPhrase.result,
+                `${n} 1 Weapon ${n} ${n * 100} 1 ${n * 2} Weapon ${n}`,
+                'Computation ' + n + ' used the data of another computation'
+            );
+        });
+    });
+
+    it('keep their own functions around nested computations', async () => {
+        // The nested formula is computed with the props of the other actor, in the middle of the outer formula
+        let phrase = "${[1d1]}$ ${getPropertyDataFromActor('other', 'S * 2') + ref('S') + missing}$";
+
+        let results = await Promise.all(
+            [1, 2, 3].map((n) => ComputablePhrase.computeMessage(phrase, getProps(n), { defaultValue: n * 1000 }))
+        );
+
+        assert.deepEqual(
+            results.map((computedPhrase) => computedPhrase.result),
+            ['1 1101', '1 2102', '1 3103']
+        );
+    });
+
+    it('do not change the global math instance', async () => {
+        let onUndefinedSymbol = math.SymbolNode.onUndefinedSymbol;
+
+        await ComputablePhrase.computeMessage("${ref('S')}$ ${sameRow('name')}$ ${[1d1]}$", getProps(1), {
+            reference: 'weapons.0'
+        });
+
+        assert.equal(math.SymbolNode.onUndefinedSymbol, onUndefinedSymbol);
+        for (let name of ['ref', 'sameRow', 'fetchFromDynamicTable', 'getPropertyDataFromActor']) {
+            assert.equal(math[name], undefined, name + ' has been added to the global math instance');
+        }
+    });
+});
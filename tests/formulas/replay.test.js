@@ -0,0 +1,55 @@
+/**
+ * Checks that rolls computed with a dice source can be replayed and verified.
+ * Run with node --test from the system folder.
+ */
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHeadlessEngine, ComputablePhrase } from '../../module/formulas/headless.js';
+import DiceSource from '../../module/formulas/DiceSource.js';
+
+describe('Roll replays', () => {
+    const phrase = '${bonus:=?{bonus:number|0}}$ ${hits:=successes([5d6], BS)}$ hits, ${[1d6] + bonus + S}$ damage';
+    const actor = { system: { props: { BS: 3, S: 4 } } };
+
+    let replayData;
+
+    before(async () => {
+        // Computation traces are only useful when debugging in Foundry
+        console.debug = () => {};
+        console.log = () => {};
+
+        await setupHeadlessEngine();
+
+        let computedPhrase = await ComputablePhrase.computeMessage(phrase, actor.system.props, {
+            actor: actor,
+            userInputs: { bonus: 2 },
+            diceSource: new DiceSource({ seed: 'replay' })
+        });
+
+        replayData = computedPhrase.replayData;
+    });
+
+    it('record the dice and user inputs, without the props', () => {
+        assert.equal(replayData.props, undefined);
+        assert.deepEqual(replayData.userInputs, { bonus: 2 });
+        assert.equal(replayData.diceResults.length, 6);
+        assert.equal(replayData.formulaResults.length, 3);
+    });
+
+    it('are verified with the same actor', async () => {
+        let { verified, differences } = await ComputablePhrase.verify(replayData, actor);
+
+        assert.deepEqual(differences, []);
+        assert.ok(verified);
+    });
+
+    it('report the formulas giving other results', async () => {
+        let { verified, differences } = await ComputablePhrase.verify(replayData, {
+            system: { props: { BS: 3, S: 5 } }
+        });
+
+        assert.ok(!verified);
+        assert.equal(differences.length, 1);
+        assert.match(differences[0], /^formula \[1d6\] \+ bonus \+ S gave/);
+    });
+});
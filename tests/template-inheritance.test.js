@@ -0,0 +1,93 @@
+/**
+ * Checks the merge of child templates in their parent templates.
+ * Run with node --test from the system folder.
+ */
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getComponentKeys, getInheritedKeys, resolveTemplateData } from '../module/template-inheritance.js';
+
+/**
+ * Creates a character template, registered in the world actors
+ * @param {string} id
+ * @param {Object} system
+ * @return {Object}
+ */
+const createTemplate = (id, system) => {
+    let template = { id: id, name: id, type: '_template', documentName: 'Actor', system: system };
+    game.actors.set(id, template);
+
+    return template;
+};
+
+describe('Template inheritance', () => {
+    before(() => {
+        globalThis.foundry = { utils: { deepClone: (value) => structuredClone(value) } };
+        globalThis.game = { actors: new Map(), items: new Map() };
+
+        createTemplate('unit', {
+            hidden: [{ name: 'points', value: '10' }],
+            header: { key: 'header' },
+            body: {
+                key: 'body',
+                contents: [
+                    {
+                        key: 'profile',
+                        type: 'panel',
+                        contents: [
+                            { key: 'M', type: 'label', value: '6' },
+                            { key: 'T', type: 'label', value: '4' }
+                        ]
+                    },
+                    {
+                        type: 'table',
+                        contents: [[{ key: 'Sv', type: 'label', value: '3' }, null]]
+                    }
+                ]
+            }
+        });
+    });
+
+    it('replace parent components overridden in unkeyed child containers', () => {
+        let child = createTemplate('jump-unit', {
+            parentTemplate: 'unit',
+            header: { key: 'header' },
+            body: {
+                key: 'body',
+                contents: [
+                    {
+                        type: 'panel',
+                        contents: [
+                            { key: 'M', type: 'label', value: '12' },
+                            { type: 'table', contents: [[null, { key: 'Sv', type: 'label', value: '2' }]] },
+                            { key: 'jumpPack', type: 'checkbox' }
+                        ]
+                    }
+                ]
+            }
+        });
+
+        let body = resolveTemplateData(child).body;
+        let keys = getComponentKeys(body);
+
+        assert.deepEqual(
+            keys.filter((key) => keys.indexOf(key) !== keys.lastIndexOf(key)),
+            [],
+            'Merged keys are duplicated'
+        );
+        assert.equal(body.contents[0].contents[0].value, '12');
+        assert.equal(body.contents[1].contents[0][0].value, '2');
+
+        // The wrapping panel keeps its new components only
+        assert.deepEqual(
+            body.contents[2].contents.map((component) => component.key),
+            ['jumpPack']
+        );
+    });
+
+    it('give the keys of the parent templates to child templates', () => {
+        let child = createTemplate('character', { parentTemplate: 'unit', header: {}, body: {} });
+
+        assert.deepEqual([...getInheritedKeys(child)].sort(), ['M', 'Sv', 'T', 'body', 'header', 'points', 'profile']);
+        assert.equal(getInheritedKeys(game.actors.get('unit')).size, 0);
+    });
+});